@@ -1,12 +1,30 @@
 'use strict';
 
-const initNats = require('./lib/client'),
-  initChannel = require('./lib/channel');
+const { EventEmitter } = require('events'),
+  fs = require('fs'),
+  initNats = require('./lib/client'),
+  initChannel = require('./lib/channel'),
+  initMetrics = require('./lib/metrics'),
+  initTransport = require('./lib/transport'),
+  initElection = require('./lib/election'),
+  initLock = require('./lib/lock'),
+  pattern = require('./lib/pattern');
+
+const DEFAULT_CONNECTION = 'default';
+
+const EVENTS = [
+  'connect',    // (nc, connectionName) the connection was established.
+  'disconnect', // (nc, connectionName) the connection to the server was lost.
+  'reconnect',  // (nc, connectionName) the connection was re-established.
+  'error',      // (error, nc, connectionName) the connection encountered an error.
+  'close'       // (nc, connectionName) the connection was closed.
+];
 
 module.exports = function (thorin, opt, pluginName) {
   const defaultOpt = {
     logger: pluginName || 'nats',
     debug: false,
+    transport: 'nats', // the transport to use: "nats" or "memory" for the in-memory loopback transport (tests, single-process mode)
     url: [],    // An array of Nats.io server URLs
     username: null, // The username/password credentials to use.
     password: null,
@@ -19,50 +37,79 @@ module.exports = function (thorin, opt, pluginName) {
       reconnectWait: 1000
     },
     required: true,
+    closeTimeout: 4000, // the max time (in ms) the whole shutdown takes, in-flight requests and connection drain included.
     channel: {
       prefix: 'trpc.',   // the subscription prefix for all our channels
       timeout: 3000, // max timeout for RPC dispatch requests.
-      debug: false  // if set to true, we will log incoming dispatches/publishes.
+      debug: false,  // if set to true, we will log incoming dispatches/publishes.
+      retry: null,  // the default dispatch() retry policy {attempts, delay, factor, maxDelay, jitter, codes}
+      breaker: null, // if set to {threshold, cooldown} or true, we enable per-action circuit breakers.
+      handlerTimeout: null, // the max time (in ms) an incoming request handler can run, before we reply with NATS.HANDLER_TIMEOUT
+      idempotency: null, // if set to {ttl, size, store} or true, handlers run only once per dispatch idempotency key.
+      buffer: null,  // if set to {size, ttl, overflow}, we buffer dispatches/publishes until the client is connected.
+      codec: null,  // the codec to encode messages with: "json", "msgpack" or a custom one. Defaults to plain JSON text.
+      compress: null, // if set to "gzip" or "deflate", we compress encoded messages above the threshold.
+      compressThreshold: 1024, // the min message size (in bytes) we compress.
+      actionSubjects: false // if set to true, we publish events on per-action subjects "{prefix}{name}.p.{action}", see channel opt.actionSubjects
+    },
+    chunk: {
+      maxPayload: null, // the max message size (in bytes) before we chunk it. Defaults to the server's max_payload.
+      maxSize: 16777216, // the max size (in bytes) of a chunked message we accept to receive.
+      timeout: 30000, // the max time (in ms) a chunked transfer can take, before it is considered incomplete.
+      chunkTimeout: 5000 // the max time (in ms) we wait for a single chunk.
+    },
+    tls: {}, // .key, .cert, .ca
+    expose: {
+      channel: null, // if set, we register a thorin transport that exposes the "NATS" aliased or .expose('nats') actions on this channel.
+      unique: true, // place the exposed actions channel in a queue group, so that every request is handled once.
+      connection: null // the named connection of the channel, defaults to the default connection.
     },
-    tls: {} // .key, .cert, .ca
+    connections: {}, // additional named connections, as {name: {url, username, password, token, tls, options, transport}}
+    metrics: {
+      path: null,   // if set, we register a GET action with this alias, exposing the metrics in the Prometheus text format.
+      buckets: null // optional array of histogram buckets, in seconds.
+    }
   };
   opt = thorin.util.extend(defaultOpt, opt);
   const logger = thorin.logger(defaultOpt.logger);
-  if (typeof opt.url === 'string') {
-    opt.url = [opt.url];
-  }
-  if (!(opt.url instanceof Array)) {
-    throw thorin.error('PLUGIN.NATS', 'URL Configuration must be an array of nats server URLs');
-  }
-  // Validate URLs as array of "nats://ip:port"]
-  for (let i = 0; i < opt.url.length; i++) {
-    let u = opt.url[i];
-    if (typeof u !== 'string' || !u) {
-      throw thorin.error('PLUGIN.NATS', 'URL Configuration must be an array of nats server URLs');
-    }
-    if (u.indexOf('://') === -1) u = 'nats://' + u;
-    if (u.indexOf(':') === -1) {
-      u += ':4222';
-    }
-    opt.url[i] = u;
-  }
-  let cOpt = opt.options;
-  cOpt.servers = opt.url;
-  if (opt.username) cOpt.user = opt.username;
-  if (opt.password) cOpt.pass = opt.password;
-  if (opt.token) cOpt.token = opt.token;
-  if (typeof opt.tls === 'object' && opt.tls && opt.tls.key && opt.tls.cert) {
-    cOpt.tls = opt.tls;
-  }
-  const NatsClient = initNats(thorin, cOpt, logger),
-    NatsChannel = initChannel(thorin, opt, logger);
+  const connections = {}; // map of {name: connection}, the default connection is named "default"
+  connections[DEFAULT_CONNECTION] = createConnection(DEFAULT_CONNECTION, opt);
+  Object.keys(opt.connections || {}).forEach((name) => {
+    if (name === DEFAULT_CONNECTION) throw thorin.error('PLUGIN.NATS', `Connection name ${name} is reserved`);
+    let item = opt.connections[name];
+    if (typeof item !== 'object' || !item) throw thorin.error('PLUGIN.NATS', `Connection ${name} configuration must be an object`);
+    connections[name] = createConnection(name, Object.assign({
+      transport: opt.transport
+    }, item, {
+      options: thorin.util.extend(opt.options, item.options || {})
+    }));
+  });
+  const NatsClient = initNats(thorin, connections[DEFAULT_CONNECTION].options, logger),
+    NatsMetrics = initMetrics(thorin, opt, logger),
+    metricsObj = new NatsMetrics(opt.metrics || {}),
+    NatsChannel = initChannel(thorin, opt, logger, metricsObj),
+    NatsTransport = initTransport(thorin, opt, logger),
+    NatsElection = initElection(thorin, opt, logger),
+    NatsLocks = initLock(thorin, opt, logger);
+  if (opt.expose && opt.expose.channel) NatsTransport.addExpose();
 
-  const natsObj = {};
+  const natsObj = {},
+    events = new EventEmitter();
+  let hasMetricsAction = false,
+    hasTransport = false;
 
   /**
    * On thorin app launch, connect to server.
    * */
   natsObj.run = async (done) => {
+    if (opt.metrics && opt.metrics.path && !hasMetricsAction) {
+      hasMetricsAction = true;
+      registerMetricsAction(opt.metrics.path);
+    }
+    if (opt.expose && opt.expose.channel && !hasTransport) {
+      hasTransport = true;
+      registerTransport(opt.expose);
+    }
     if (natsObj.client) return done();
     try {
       await natsObj.getClient();  // the default client.
@@ -76,77 +123,437 @@ module.exports = function (thorin, opt, pluginName) {
   };
 
   let channels = {},
-    isConnecting = false,
-    pendingChannels = [],
-    pendingClients = [];
+    allChannels = new Set(),  // every channel we've created, named or not.
+    elections = {}, // map of {connection:name: NatsElection}
+    clients = [],   // every client connection we've created.
+    closePromise = null;
 
   /**
    * Makes sure that we have a connected client, and returns it.
+   * Named connections are lazily connected, the first time we need them.
+   * @Arguments
+   *  - name - the connection name, defaults to the default connection.
    * */
-  natsObj.getClient = async () => {
-    if (isConnecting) {
-      return new Promise((resolve) => pendingClients.push(resolve));
-    }
-    if (natsObj.client) return natsObj.client;
-    isConnecting = true;
-    let clientObj = await natsObj.connect();
-    isConnecting = false;
-    natsObj.client = clientObj;
-    pendingClients.forEach(resolve => resolve(clientObj));
-    pendingClients = [];
-    return clientObj;
+  natsObj.getClient = async (name) => {
+    let conn = getConnection(name);
+    if (conn.client) return conn.client;
+    if (conn.connecting) return conn.connecting;
+    conn.connecting = (async () => {
+      try {
+        let clientObj = await natsObj.connect({
+          connection: conn.name
+        });
+        conn.client = clientObj;
+        if (conn.name === DEFAULT_CONNECTION) natsObj.client = clientObj;
+        return clientObj;
+      } finally {
+        conn.connecting = null;
+      }
+    })();
+    return conn.connecting;
   }
 
   /**
    * Connect to the nats server, creating a client instance.
    * Returns a promise.
+   * @Arguments
+   *  - opt - additional nats.io client options.
+   *  - opt.connection - the connection name to use the configuration of, defaults to the default connection.
    * */
   natsObj.connect = async (opt = {}) => {
-    let connectOpt = thorin.util.extend(cOpt, opt);
-    if (connectOpt.servers.length === 0) throw thorin.error('PLUGIN.NATS', 'At least one NATS server is required');
+    let conn = getConnection(opt.connection);
+    opt = Object.assign({}, opt);
+    delete opt.connection;
+    let connectOpt = thorin.util.extend(conn.options, opt);
+    if (connectOpt.transport !== 'memory' && connectOpt.servers.length === 0) throw thorin.error('PLUGIN.NATS', `At least one NATS server is required for connection ${conn.name}`);
     let clientObj = new NatsClient();
+    EVENTS.forEach((name) => {
+      clientObj.on(name, (...args) => {
+        if (name === 'error' && events.listenerCount('error') === 0) return;
+        events.emit(name, ...args, conn.name);
+      });
+    });
     let natsObj = await clientObj.connect(connectOpt);
+    clients.push(natsObj);
+    let pendingChannels = conn.pendingChannels;
+    conn.pendingChannels = [];
     for (let i = 0, len = pendingChannels.length; i < len; i++) {
       pendingChannels[i].client = natsObj;
     }
-    pendingChannels = [];
     return natsObj;
   };
 
+  /**
+   * Listens for the connection lifecycle events: connect, disconnect, reconnect, error and close.
+   * */
+  natsObj.on = (name, fn) => {
+    if (EVENTS.indexOf(name) === -1) throw thorin.error('PLUGIN.NATS', `Event ${name} is not supported`);
+    events.on(name, fn);
+    return natsObj;
+  };
+  natsObj.off = (name, fn) => {
+    events.removeListener(name, fn);
+    return natsObj;
+  };
+
+  /**
+   * Returns the status of the given connection (defaults to the default connection):
+   *  - connected - true if we're currently connected to a server.
+   *  - server - the URL of the server we're connected to.
+   *  - reconnects - the number of times we've reconnected.
+   *  - pendingBytes - the number of outbound bytes not yet flushed to the server.
+   *  - subscriptions - the number of active subscriptions.
+   * */
+  natsObj.status = (name) => getStatus(getConnection(name).client);
+
+  /**
+   * Health check, that can be used directly in a thorin health action.
+   * Resolves with the connection status, along with the server round trip latency (in ms).
+   * Rejects with NATS.UNHEALTHY if we're not connected, or the server did not reply in time.
+   * @Arguments
+   *  - hOpt.timeout [=2000] - the max time (in ms) we wait for the server round trip.
+   *  - hOpt.connection - the connection name to check, defaults to the default connection.
+   * */
+  natsObj.health = async (hOpt = {}) => {
+    let timeout = (typeof hOpt.timeout === 'number' ? hOpt.timeout : 2000),
+      nc = getConnection(hOpt.connection).client,
+      status = getStatus(nc);
+    if (!status.connected) throw thorin.error('NATS.UNHEALTHY', 'The NATS connection is not available', 503, status);
+    let start = Date.now();
+    try {
+      await new Promise((resolve, reject) => {
+        let timer = setTimeout(() => reject(thorin.error('NATS.TIMEOUT', 'The NATS server did not reply in time')), timeout);
+        nc.flush((e) => {
+          clearTimeout(timer);
+          if (e) return reject(e);
+          resolve();
+        });
+      });
+    } catch (e) {
+      throw thorin.error('NATS.UNHEALTHY', 'The NATS server is not responding', 503, status);
+    }
+    status.latency = Date.now() - start;
+    return status;
+  };
+
   /**
    * Creates or retrieves the specified NATS Channel object.
    * @Arguments
    *  - name - the channel name to use.
    *  - cOpt.unique - if set to true, we will place this channel into a unique queue group, and messages will be delivered to only one subscriber.
+   *  - cOpt.connection - the named connection to bind the channel to, defaults to the default connection.
    * */
   natsObj.channel = (name, cOpt = {}) => {
-    let cObj = channels[name];
+    let key = (cOpt.connection && cOpt.connection !== DEFAULT_CONNECTION ? `${cOpt.connection}:${name}` : name),
+      cObj = channels[key];
     if (!cObj) {
       cObj = natsObj.channel.create(name, cOpt);
-      channels[name] = cObj;
+      channels[key] = cObj;
       cObj.on('destroy', () => {
-        delete channels[name];
+        delete channels[key];
       });
     }
     return cObj;
   }
-  /* expose our NatsChannel class */
-  natsObj.channel.create = (name, cOpt) => {
-    let cObj = new NatsChannel(name, cOpt);
-    if (natsObj.client) {
-      cObj.client = natsObj.client;
-    } else {
-      pendingChannels.push(cObj);
+  /**
+   * Discovers all the nodes serving the given channel, along with their registered actions and schemas.
+   * See NatsChannel.discover()
+   * @Arguments
+   *  - channelName - the channel to discover.
+   *  - dOpt.timeout - the max time (in ms) we wait for replies, defaults to opt.channel.timeout
+   *  - dOpt.connection - the named connection to use, defaults to the default connection.
+   * */
+  natsObj.discover = async (channelName, dOpt = {}) => {
+    let cOpt = {};
+    if (dOpt.connection) cOpt.connection = dOpt.connection;
+    let cObj = natsObj.channel(channelName, cOpt);
+    if (!cObj.active) await natsObj.getClient(dOpt.connection);
+    return cObj.discover(dOpt);
+  };
+
+  /**
+   * Registers a plugin-wide middleware function, applied to all channels.
+   * See NatsChannel.use() for the inbound/outbound signatures.
+   * */
+  natsObj.use = (type, fn) => {
+    NatsChannel.use(type, fn);
+    return natsObj;
+  };
+
+  /**
+   * Registers a custom codec {id, encode, decode}, that channels can use with opt.codec
+   * */
+  natsObj.codec = (name, codec) => {
+    NatsChannel.codec(name, codec);
+    return natsObj;
+  };
+
+  /**
+   * Exports the TypeScript declarations of the given channel contract.
+   * Resolves with the declarations, writing them to tOpt.file if set.
+   * @Arguments
+   *  - contract - the channel contract, see lib/contract.js
+   *  - tOpt.name [=ServiceProxy] - the name of the proxy interface.
+   *  - tOpt.file - if set, the .d.ts file path to write the declarations to.
+   * */
+  natsObj.exportTypes = async (contract, tOpt = {}) => {
+    let content = NatsChannel.toTypeScript(contract, tOpt);
+    if (tOpt.file) {
+      await fs.promises.writeFile(tOpt.file, content, 'utf8');
     }
+    return content;
+  };
+
+  /**
+   * Creates or retrieves the given leader election, joining it as a candidate once the connection is ready.
+   * See lib/election.js for the "elected", "revoked" and "leader" events.
+   * @Arguments
+   *  - name - the election name, eg: "billing.invoices"
+   *  - eOpt.heartbeat [=1000] - the heartbeat interval (in ms)
+   *  - eOpt.timeout [=3000] - the time (in ms) without heartbeats after which the leader is replaced.
+   *  - eOpt.connection - the named connection to use, defaults to the default connection.
+   * Usage:
+   *    natsObj.election('billing.invoices').on('elected', startJobs).on('revoked', stopJobs);
+   * */
+  natsObj.election = (name, eOpt = {}) => {
+    if (!pattern.isSubject(name)) throw thorin.error('DATA.INVALID', `Election name ${name} is not valid`);
+    let conn = getConnection(eOpt.connection),
+      key = `${conn.name}:${name}`;
+    if (!elections[key]) {
+      elections[key] = new NatsElection(name, eOpt);
+      attachClient(conn, elections[key]);
+    }
+    return elections[key];
+  };
+
+  /**
+   * Acquires a distributed lock, for short critical sections that must run on a single node.
+   * Resolves with the lock {name, expiresAt, signal, release()}, or rejects with NATS.LOCKED. See lib/lock.js
+   * @Arguments
+   *  - name - the lock name.
+   *  - lOpt.ttl [=10000] - the time (in ms) after which the lock expires, if not released.
+   *  - lOpt.timeout [=0] - the max time (in ms) we wait for the lock. With 0, we only try once.
+   *  - lOpt.connection - the named connection to use, defaults to the default connection.
+   * Usage:
+   *    let lock = await natsObj.lock('invoice.42', {ttl: 5000});
+   *    try { ... } finally { lock.release(); }
+   * */
+  natsObj.lock = async (name, lOpt = {}) => {
+    if (!pattern.isSubject(name)) throw thorin.error('DATA.INVALID', `Lock name ${name} is not valid`);
+    let conn = getConnection(lOpt.connection),
+      nc = await natsObj.getClient(conn.name);
+    if (!conn.locks) conn.locks = new NatsLocks(nc);
+    return conn.locks.acquire(name, lOpt);
+  };
+
+  /**
+   * Returns a JSON snapshot of the per channel/action metrics.
+   * */
+  natsObj.metrics = () => metricsObj.snapshot();
+  /* Returns the metrics in the Prometheus text exposition format */
+  natsObj.metrics.export = () => metricsObj.export();
+  natsObj.metrics.reset = () => metricsObj.reset();
+
+  /**
+   * Registers the GET action that exposes our metrics through the thorin HTTP transport.
+   * */
+  function registerMetricsAction(path) {
+    thorin.dispatcher
+      .addAction(`${opt.logger}.metrics`)
+      .alias('GET', path)
+      .use((intentObj) => {
+        intentObj.resultHeaders('Content-Type', 'text/plain; version=0.0.4');
+        intentObj.rawResult(metricsObj.export());
+        intentObj.send();
+      });
+  }
+
+  /**
+   * Registers our thorin transport, exposing the NATS actions on the given channel.
+   * */
+  function registerTransport(eOpt) {
+    let cOpt = {
+      unique: eOpt.unique !== false
+    };
+    if (eOpt.connection) cOpt.connection = eOpt.connection;
+    let transportObj = new NatsTransport(natsObj.channel(eOpt.channel, cOpt));
+    thorin.dispatcher.registerTransport(transportObj);
+  }
+
+  /* expose our NatsChannel class */
+  natsObj.channel.create = (name, cOpt = {}) => {
+    let conn = getConnection(cOpt.connection),
+      cObj = new NatsChannel(name, cOpt);
+    allChannels.add(cObj);
+    attachClient(conn, cObj);
     cObj.on('destroy', () => {
-      let cix = pendingChannels.indexOf(cObj);
+      allChannels.delete(cObj);
+      let cix = conn.pendingChannels.indexOf(cObj);
       if (cix !== -1) {
-        pendingChannels.splice(cix, 1);
+        conn.pendingChannels.splice(cix, 1);
       }
     });
     return cObj;
   }
 
+  /**
+   * Gracefully shuts down the plugin. We stop accepting new requests on all channels,
+   * wait for the in-flight handlers to finish and reply, then drain every connection.
+   * This is called automatically when the thorin app exits.
+   * @Arguments
+   *  - sOpt.timeout - the max time (in ms) the shutdown takes, defaults to opt.closeTimeout
+   *    The connections are drained within what is left of it once the in-flight handlers finished.
+   * */
+  natsObj.close = (sOpt = {}) => {
+    if (closePromise) return closePromise;
+    let timeout = (typeof sOpt.timeout === 'number' ? sOpt.timeout : opt.closeTimeout),
+      deadline = Date.now() + timeout;
+    closePromise = (async () => {
+      let items = Array.from(allChannels);
+      if (opt.debug) logger.trace(`Closing ${items.length} channels`);
+      Object.keys(elections).forEach((key) => elections[key].stop());
+      elections = {};
+      Object.keys(connections).forEach((name) => {
+        if (!connections[name].locks) return;
+        connections[name].locks.close();
+        connections[name].locks = null;
+      });
+      await Promise.all(items.map((cObj) => cObj.close(timeout)));
+      let remaining = Math.max(0, deadline - Date.now());
+      await Promise.all(clients.map((nc) => drainClient(nc, remaining)));
+      clients = [];
+      Object.keys(connections).forEach((name) => {
+        connections[name].client = null;
+      });
+      natsObj.client = null;
+      if (opt.debug) logger.trace(`Closed NATS connections`);
+    })();
+    return closePromise;
+  };
+
+  /**
+   * Sets the connection's client on the given channel or election, once it is connected.
+   * Named connections are connected right away, the default one connects on run()
+   * */
+  function attachClient(conn, obj) {
+    if (conn.client) {
+      obj.client = conn.client;
+      return;
+    }
+    conn.pendingChannels.push(obj);
+    if (conn.name !== DEFAULT_CONNECTION && !closePromise) {
+      natsObj.getClient(conn.name).catch((e) => {
+        logger.warn(`Could not connect to nats servers of connection ${conn.name}`);
+        logger.debug(e);
+      });
+    }
+  }
+
+  /**
+   * Returns the connection with the given name, or the default one.
+   * */
+  function getConnection(name) {
+    let conn = connections[name || DEFAULT_CONNECTION];
+    if (!conn) throw thorin.error('PLUGIN.NATS', `Connection ${name} is not configured`);
+    return conn;
+  }
+
+  /**
+   * Creates a connection out of the given configuration {url, username, password, token, tls, options, transport},
+   * validating its URLs as an array of "nats://ip:port"
+   * */
+  function createConnection(name, config) {
+    let urls = config.url;
+    if (typeof urls === 'string') urls = [urls];
+    if (typeof urls === 'undefined' || urls === null) urls = [];
+    if (!(urls instanceof Array)) {
+      throw thorin.error('PLUGIN.NATS', 'URL Configuration must be an array of nats server URLs');
+    }
+    urls = urls.map((u) => {
+      if (typeof u !== 'string' || !u) {
+        throw thorin.error('PLUGIN.NATS', 'URL Configuration must be an array of nats server URLs');
+      }
+      if (u.indexOf('://') === -1) u = 'nats://' + u;
+      if (u.indexOf(':') === -1) {
+        u += ':4222';
+      }
+      return u;
+    });
+    let cOpt = Object.assign({}, config.options);
+    cOpt.servers = urls;
+    if (config.username) cOpt.user = config.username;
+    if (config.password) cOpt.pass = config.password;
+    if (config.token) cOpt.token = config.token;
+    if (config.transport === 'memory') cOpt.transport = 'memory';
+    if (typeof config.tls === 'object' && config.tls && config.tls.key && config.tls.cert) {
+      cOpt.tls = config.tls;
+    }
+    return {
+      name,
+      options: cOpt,
+      client: null,
+      connecting: null,
+      locks: null,  // the NatsLocks of this connection, created on the first lock()
+      pendingChannels: []  // the channels and elections waiting for the client.
+    };
+  }
+
+  function getStatus(nc) {
+    if (!nc) {
+      return {
+        connected: false,
+        server: null,
+        reconnects: 0,
+        pendingBytes: 0,
+        subscriptions: 0
+      };
+    }
+    let server = null;
+    if (nc.currentServer && nc.currentServer.url) {
+      server = (typeof nc.currentServer.url === 'string' ? nc.currentServer.url : nc.currentServer.url.href) || null;
+      if (server) server = server.replace(/\/\/[^@/]*@/, '//');  // do not expose credentials.
+    }
+    return {
+      connected: nc.connected === true && !nc.closed,
+      server,
+      reconnects: nc.reconnects || 0,
+      pendingBytes: nc.pSize || 0,
+      subscriptions: (typeof nc.numSubscriptions === 'function' ? nc.numSubscriptions() : 0)
+    };
+  }
+
+  /**
+   * Drains the given connection, closing it if it does not drain in time.
+   * */
+  function drainClient(nc, timeout) {
+    return new Promise((resolve) => {
+      if (nc.closed) return resolve();
+      let timer = setTimeout(() => {
+        timer = null;
+        nc.close();
+        resolve();
+      }, timeout);
+      try {
+        nc.drain(() => {
+          if (!timer) return;
+          clearTimeout(timer);
+          resolve();
+        });
+      } catch (e) {
+        clearTimeout(timer);
+        nc.close();
+        resolve();
+      }
+    });
+  }
+
+  thorin.on(thorin.EVENT.EXIT, () => {
+    natsObj.close().catch((e) => {
+      logger.warn(`Could not gracefully close NATS connections`);
+      logger.debug(e);
+    });
+  });
+
   return natsObj;
 };
 module.exports.publicName = 'nats';
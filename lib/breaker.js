@@ -0,0 +1,78 @@
+'use strict';
+/**
+ * A simple per-action circuit breaker, used by channel.dispatch()
+ * States:
+ *  - closed - requests go through, we count consecutive failures.
+ *  - open - after opt.threshold consecutive failures, requests fail fast.
+ *  - half - after opt.cooldown ms, we let a single probe request through.
+ *    If it succeeds, the circuit closes, otherwise it opens again.
+ * */
+const STATE = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF: 'half'
+};
+
+class CircuitBreaker {
+
+  #threshold = 5;
+  #cooldown = 10000;
+  #failures = 0;
+  #openedAt = 0;
+  #probing = false;
+
+  constructor(opt = {}) {
+    if (typeof opt.threshold === 'number' && opt.threshold > 0) this.#threshold = opt.threshold;
+    if (typeof opt.cooldown === 'number' && opt.cooldown >= 0) this.#cooldown = opt.cooldown;
+    this.state = STATE.CLOSED;
+  }
+
+  /**
+   * Checks if we can send a request through.
+   * */
+  allow() {
+    if (this.state === STATE.CLOSED) return true;
+    if (this.state === STATE.OPEN) {
+      if (Date.now() - this.#openedAt < this.#cooldown) return false;
+      this.state = STATE.HALF;
+      this.#probing = false;
+    }
+    // half-open: only one probe at a time.
+    if (this.#probing) return false;
+    this.#probing = true;
+    return true;
+  }
+
+  success() {
+    this.#failures = 0;
+    this.#probing = false;
+    this.state = STATE.CLOSED;
+  }
+
+  /**
+   * Called when an allowed request ended without an outcome (eg: it was cancelled),
+   * so that the half-open circuit lets another probe through.
+   * */
+  release() {
+    this.#probing = false;
+  }
+
+  failure() {
+    this.#probing = false;
+    if (this.state === STATE.HALF) {
+      return this.#open();
+    }
+    this.#failures++;
+    if (this.#failures >= this.#threshold) {
+      this.#open();
+    }
+  }
+
+  #open = () => {
+    this.state = STATE.OPEN;
+    this.#openedAt = Date.now();
+  }
+}
+
+CircuitBreaker.STATE = STATE;
+module.exports = CircuitBreaker;
@@ -0,0 +1,90 @@
+'use strict';
+/**
+ * A bounded TTL cache of idempotency key to reply, used to run a handler only once per key.
+ * Replies are the serializable {d} or {e} reply objects.
+ *  - opt.ttl - the time (in ms) we keep a reply.
+ *  - opt.size - the max number of replies we keep in memory. When full, the oldest one is dropped.
+ *  - opt.store - an optional external store, eg: backed by redis, so that replies are shared between nodes.
+ *    It must implement get(key) => reply|null and set(key, reply, ttl), both can return a promise.
+ * Duplicates that arrive while the original is still running wait for its reply.
+ * Note that in-flight requests are only tracked on the node that runs them.
+ * */
+class ReplyCache {
+
+  #ttl = 60000;
+  #size = 1000;
+  #store = null;
+  #items = new Map(); // map of {key: {reply, expireAt}}, in insertion order.
+  #pending = new Map(); // map of {key: promise} of the replies we're currently waiting for.
+
+  constructor(opt = {}) {
+    if (typeof opt.ttl === 'number' && opt.ttl > 0) this.#ttl = opt.ttl;
+    if (typeof opt.size === 'number' && opt.size > 0) this.#size = opt.size;
+    if (typeof opt.store === 'object' && opt.store) this.#store = opt.store;
+  }
+
+  get size() {
+    return this.#items.size;
+  }
+
+  /**
+   * Resolves with the reply of the given key, calling fn() to create it only if we do not have it.
+   * The reply is only stored when canStore(reply) returns true.
+   * */
+  run(key, fn, canStore) {
+    let pending = this.#pending.get(key);
+    if (pending) return pending;
+    pending = (async () => {
+      let reply = await this.get(key);
+      if (reply) return reply;
+      reply = await fn();
+      if (!canStore || canStore(reply)) await this.set(key, reply);
+      return reply;
+    })();
+    this.#pending.set(key, pending);
+    const clear = () => this.#pending.delete(key);
+    pending.then(clear, clear);
+    return pending;
+  }
+
+  /**
+   * Returns the stored reply of the given key, or null.
+   * */
+  async get(key) {
+    if (this.#store) return (await this.#store.get(key)) || null;
+    let item = this.#items.get(key);
+    if (!item) return null;
+    if (item.expireAt <= Date.now()) {
+      this.#items.delete(key);
+      return null;
+    }
+    return item.reply;
+  }
+
+  async set(key, reply) {
+    if (this.#store) return this.#store.set(key, reply, this.#ttl);
+    this.#items.delete(key);
+    this.#items.set(key, {
+      reply,
+      expireAt: Date.now() + this.#ttl
+    });
+    this.#prune();
+  }
+
+  clear() {
+    this.#items.clear();
+  }
+
+  /**
+   * Removes the expired replies, and the oldest ones above the max size.
+   * */
+  #prune = () => {
+    let now = Date.now();
+    for (let [key, item] of this.#items) {
+      if (this.#items.size <= this.#size && item.expireAt > now) break;
+      this.#items.delete(key);
+    }
+  }
+}
+
+module.exports = ReplyCache;
@@ -1,6 +1,17 @@
 'use strict';
 const { EventEmitter } = require('events'),
-  nats = require('nats');
+  { AsyncLocalStorage } = require('async_hooks'),
+  crypto = require('crypto'),
+  nats = require('nats'),
+  initSchema = require('./schema'),
+  initCodec = require('./codec'),
+  initChunker = require('./chunker'),
+  initContract = require('./contract'),
+  initPartition = require('./partition'),
+  CircuitBreaker = require('./breaker'),
+  Limiter = require('./limiter'),
+  ReplyCache = require('./cache'),
+  pattern = require('./pattern');
 /**
  * Since we're already using NATS as our message highway,
  * we also provide an abstraction layer over these functionalities.
@@ -11,7 +22,7 @@ const { EventEmitter } = require('events'),
  *  - ready - triggered once when the client was attached.
  *  - destroy - triggered once when the channel will be destroyed.
  *  - request[action,payload,result] - an incoming dispatch event.
- *  - event[action,payload] - an incoming published event, with no callback.
+ *  - event[action,payload,context] - an incoming published event, with no callback.
  *
  *  Usage:
  *    const natsObj = thorin.plugin('nats');
@@ -32,22 +43,81 @@ const EVENTS = [
   'ready',      // triggered once when the client was attached.
   'destroy',    // triggered once when the channel will be destroyed.
   'request',    // {action,payload,result} triggered when an incoming request was processed.
-  'event'       // {action,payload} triggered when an event was published to this channel.
+  'event',      // {action,payload,context} triggered when an event was published to this channel.
+  'rebalance'   // {side,partitions,members} triggered when the partitions owned by this node changed.
 ];
 
 function noop() {}
 
-module.exports = (thorin, nOpt, logger) => {
+module.exports = (thorin, nOpt, logger, metrics) => {
+
+  const schema = initSchema(thorin),
+    codecs = initCodec(thorin),
+    chunker = initChunker(thorin, nOpt, logger),
+    PartitionGroup = initPartition(thorin, nOpt, logger),
+    contracts = initContract(thorin);
 
   const ERROR_TIMEOUT = thorin.error('NATS.TIMEOUT', 'Request timed out', 502),
     ERROR_REQUEST = thorin.error('NATS.DATA', 'The specified request data is not valid', 400),
     ERROR_HANDLER = thorin.error('NATS.DATA', 'The specified event does not exist', 404),
-    ERROR_RESPONSE = thorin.error('NATS.DATA', 'An error occurred while retrieving result', 500);
+    ERROR_RESPONSE = thorin.error('NATS.DATA', 'An error occurred while retrieving result', 500),
+    ERROR_CIRCUIT_OPEN = thorin.error('NATS.CIRCUIT_OPEN', 'The requested action is temporarily unavailable', 503),
+    ERROR_DESTROYED = thorin.error('NATS.DESTROYED', 'The channel was destroyed', 500),
+    ERROR_CLOSING = thorin.error('NATS.CLOSING', 'The service is shutting down', 503),
+    ERROR_BUSY = thorin.error('NATS.BUSY', 'The service is too busy to handle the request', 503),
+    ERROR_BUFFER_FULL = thorin.error('NATS.BUFFER_FULL', 'The outbound buffer is full', 503),
+    ERROR_BUFFER_EXPIRED = thorin.error('NATS.BUFFER_EXPIRED', 'The buffered request expired before it could be sent', 504),
+    ERROR_CANCELLED = thorin.error('NATS.CANCELLED', 'The request was cancelled', 499),
+    ERROR_HANDLER_TIMEOUT = thorin.error('NATS.HANDLER_TIMEOUT', 'The request handler did not finish in time', 504);
+
+  const TRANSIENT_CODES = [ERROR_CLOSING.code, ERROR_BUSY.code, ERROR_CANCELLED.code, ERROR_HANDLER_TIMEOUT.code];  // errors we do not cache as idempotent replies.
+
+  const DEFAULT_BUFFER = {
+    size: 1000,
+    ttl: 30000,
+    overflow: 'drop-oldest'
+  };
+
+  const DEFAULT_RETRY = {
+      attempts: 1,
+      delay: 100,
+      factor: 2,
+      maxDelay: 5000,
+      jitter: true,
+      codes: ['NATS.TIMEOUT', 'NATS.CONN_ERR', 'NATS.CONN_CLOSED', 'NATS.DISCONNECT', 'NATS.CLOSING', 'NATS.BUSY']
+    },
+    NO_RETRY = Object.assign({}, DEFAULT_RETRY, {
+      attempts: 1
+    });
 
   const CHANNEL = { // we need  2 sub channels per channel, so that we don't get dispatch actions while we're only subscribed to publishes.
     ACTION: 'a',
     PUBLISH: 'p',
-    QUEUE: 'q'
+    QUEUE: 'q',
+    DISCOVER: 'd', // never part of a queue group, so that every node serving the channel replies to discovery.
+    CANCEL: 'c', // never part of a queue group, since we do not know which member handles the cancelled request.
+    PARTITION: 'k', // the keyed messages of partitioned channels, as "{name}.k.{partition}.a|p"
+    MEMBERS: 'm' // the membership heartbeats of partitioned channels, as "{name}.m.a|p" for each side.
+  };
+
+  const DISCOVER_ACTION = '$discover';  // the reserved introspection action, served by every channel with handlers.
+
+  const META = {  // the metadata "m" fields of a request envelope.
+    TRACE: 't',
+    CALLER: 'c',
+    DEADLINE: 'x',  // the remaining time (in ms) until the caller's deadline, so that it does not depend on both hosts' clocks.
+    LOCALE: 'l',
+    HEADERS: 'h',
+    REQUEST: 'r',  // the request id, used to cancel it.
+    IDEMPOTENCY: 'i',  // the idempotency key of the request.
+    PARTITION: 'k'  // the partition key of the request.
+  };
+
+  const requestContext = new AsyncLocalStorage(); // holds the context of the incoming request we're currently handling.
+
+  const MIDDLEWARE = {  // plugin-wide middleware, applied to all channels.
+    inbound: [],
+    outbound: []
   };
 
   class NatsChannel extends EventEmitter {
@@ -55,20 +125,104 @@ module.exports = (thorin, nOpt, logger) => {
     #client = null;
     #options = {};
     #actions = {};
+    #patterns = []; // the wildcard action handlers, sorted from the most specific one.
     #idAction = null;
+    #breakers = {}; // map of {action: CircuitBreaker}
+    #buffer = [];   // the outbound messages waiting for the client to be ready.
+    #inflight = new Set();  // the promises of the incoming requests we're currently handling.
+    #limiter = null;  // the channel-wide concurrency limiter.
+    #replies = null;  // the idempotency reply cache, see opt.idempotency
+    #partitions = null; // the partitioning options {count, heartbeat, timeout}, see opt.partitions
+    #groups = {}; // map of {side: PartitionGroup} we're a member of, where side is CHANNEL.ACTION or CHANNEL.PUBLISH
+    #idPartitions = {}; // map of {side: {partition: sid}} of the partitions we currently own.
+    #ordered = {}; // map of {partitionKey: promise} of the last queued request of every partition key.
+    #paused = false;  // true while we left the queue group because we're too busy.
+    #closed = false;
     #idPublish = null;
-    #encode = JSON.stringify;
-    #decode = JSON.parse;
+    #idLegacy = null; // the "{name}.p" publish subscription, used by publishers that do not send on per-action subjects.
+    #actionSubjects = false;  // true if we publish on per-action subjects, see opt.actionSubjects
+    #idDiscover = null;
+    #idCancel = null;
+    #running = {};  // map of {requestId: AbortController} of the incoming requests that can be cancelled.
+    #contract = null; // the contract of this channel, see lib/contract.js
+    #subscriptions = {};  // map of {action: {action, tokens, sid, fns}} of the action-filtered event subscriptions.
+    #encode = null;   // custom encoder, set with encode(fn)
+    #decode = null;   // custom decoder, set with decode(fn)
+    #codec = null;  // the codec options {codec, compress, threshold}, if we use a registered codec.
+    #middleware = {
+      inbound: [],
+      outbound: []
+    };
 
     /**
      * @Options
      *  - opt.unique - if set to true, we will add the "queue:" field in the nats subscription
      *  - opt.debug - log incoming/outgoing events, defaults to cOpt.debug
+     *  - opt.retry - the default dispatch() retry policy of this channel, see dispatch()
+     *  - opt.breaker - the per-action circuit breaker options {threshold, cooldown}, or true for the defaults.
+     *  - opt.buffer - if set, dispatch() and publish() calls made while the client is not attached or disconnected
+     *    are buffered and sent once the channel is ready or reconnected.
+     *  - opt.buffer.size [=1000] - the max number of buffered messages.
+     *  - opt.buffer.ttl [=30000] - the max time (in ms) a message stays in the buffer.
+     *  - opt.buffer.overflow [=drop-oldest] - what to drop when the buffer is full: "drop-oldest" or "drop-newest"
+     *  - opt.concurrency - the max number of incoming requests handled at the same time, across all actions.
+     *  - opt.queueSize - the max number of incoming requests waiting for a free slot.
+     *  - opt.overflow [=reject] - what to do when the queue is full. With "reject" we reply with a retryable NATS.BUSY error.
+     *    With "leave", unique channels also temporarily leave the queue group until the local queue drains.
+     *  - opt.handlerTimeout - the max time (in ms) a handler can run, before we reply with NATS.HANDLER_TIMEOUT. Defaults to cOpt.handlerTimeout
+     *  - opt.idempotency - if set, dispatches with an idempotency key run their handler only once per key and action.
+     *    Duplicates receive the cached reply, or wait for the original request to finish. Defaults to cOpt.idempotency
+     *  - opt.idempotency.ttl [=60000] - the time (in ms) we keep a reply.
+     *  - opt.idempotency.size [=1000] - the max number of replies we keep in memory.
+     *  - opt.idempotency.store - an optional external store of {get(key), set(key, reply, ttl)}, see lib/cache.js
+     *  - opt.partitions - if set, the channel is partitioned. Dispatches and publishes with a partition key are sent
+     *    to one of the partition subjects, based on the key's hash. Every node serving the channel claims a subset of
+     *    the partitions, which are rebalanced when nodes join or leave, so that all the messages of a key reach
+     *    the same node. Requests of the same key are handled one at a time, in order.
+     *    Keyed dispatches are only claimed by the nodes with handlers, and keyed events by the nodes with
+     *    'event' listeners or subscriptions, each side having its own member group.
+     *    Both sides of the channel must use the same number of partitions.
+     *  - opt.partitions.count - the number of partitions. A number can be given instead of the object.
+     *  - opt.partitions.heartbeat [=1000] - the membership heartbeat interval (in ms)
+     *  - opt.partitions.timeout [=3000] - the time (in ms) after which a silent node loses its partitions.
+     *  - opt.codec - the codec used to encode outgoing messages: "json", "msgpack" or a custom registered one.
+     *    Incoming messages are always decoded based on their header, regardless of this option.
+     *  - opt.compress - if set to "gzip" or "deflate", we compress encoded messages larger than opt.compressThreshold bytes.
+     *  - opt.actionSubjects - if set to true, publish() sends every event on its action's own subject "{prefix}{name}.p.{action}",
+     *    and subscribe() only receives the matching events from NATS. Defaults to cOpt.actionSubjects
+     *    Nodes running a previous version only listen on "{prefix}{name}.p", so enable it once all the nodes of the channel were upgraded.
+     *    Without it, events are sent on "{prefix}{name}.p" and the subscriptions filter them locally.
      * */
     constructor(name, cOpt = {}) {
       super();
       _hideEvent(this);
       this.#options = cOpt;
+      this.#limiter = new Limiter(cOpt.concurrency, cOpt.queueSize);
+      if (cOpt.partitions) {
+        let pOpt = (typeof cOpt.partitions === 'number' ? {count: cOpt.partitions} : cOpt.partitions);
+        if (typeof pOpt.count !== 'number' || pOpt.count < 1 || Math.floor(pOpt.count) !== pOpt.count) {
+          throw thorin.error('DATA.INVALID', 'Channel partitions count must be a positive integer');
+        }
+        this.#partitions = pOpt;
+      }
+      let idempotency = (typeof cOpt.idempotency !== 'undefined' ? cOpt.idempotency : nOpt.channel.idempotency);
+      if (idempotency) {
+        let store = idempotency.store;
+        if (store && (typeof store.get !== 'function' || typeof store.set !== 'function')) {
+          throw thorin.error('DATA.INVALID', 'Channel idempotency store requires get() and set() functions');
+        }
+        this.#replies = new ReplyCache(idempotency === true ? {} : idempotency);
+      }
+      let codec = (typeof cOpt.codec !== 'undefined' ? cOpt.codec : nOpt.channel.codec);
+      if (codec) {
+        if (!codecs.has(codec)) throw thorin.error('DATA.INVALID', `Channel codec ${codec} is not registered`);
+        this.#codec = {
+          codec,
+          compress: (typeof cOpt.compress !== 'undefined' ? cOpt.compress : nOpt.channel.compress),
+          threshold: (typeof cOpt.compressThreshold === 'number' ? cOpt.compressThreshold : nOpt.channel.compressThreshold)
+        };
+      }
+      this.#actionSubjects = !!(typeof cOpt.actionSubjects !== 'undefined' ? cOpt.actionSubjects : nOpt.channel.actionSubjects);
       let hasDebug = (this.#options.debug || nOpt.channel.debug);
       if (hasDebug) {
         this.debug = true;
@@ -82,9 +236,13 @@ module.exports = (thorin, nOpt, logger) => {
     set client(cObj) {
       if (!this.#client) {
         this.#client = cObj;
+        if (typeof cObj.on === 'function') {
+          cObj.on('reconnect', this.#flush);
+        }
         this.start();
         process.nextTick(() => {
           this.emit('ready');
+          this.#flush();
         });
       }
     }
@@ -99,23 +257,44 @@ module.exports = (thorin, nOpt, logger) => {
      *  - "a" - when we have a dispatch action request
      *  - "p" - when we have a generic publish
      *  - "d" - the actual data object
+     *  - "m" - optional metadata object (trace id, caller id, deadline, locale, headers)
      * */
     #handleEvent = (req, reply, subject, sid) => {
-      req = this.#decode(req);
+      let transfer = chunker.parse(req);
+      if (transfer) {
+        // a chunked message, we first pull all its chunks.
+        chunker.receive(this.#client, transfer).then((raw) => {
+          this.#handleEvent(raw, reply, subject, sid);
+        }, (e) => {
+          logger.warn(`Could not receive chunked message ${transfer.i}`, e);
+          this.#reply(reply, e);
+        });
+        return;
+      }
+      let replyCodec = (this.#decode ? null : codecs.describe(req));  // we reply using the codec of the request.
+      req = this.decode(req);
       if (req === null) {
         return this.#reply(reply, ERROR_REQUEST);
       }
       // Check if we have a "publish"
       try {
+        // Handle: a caller cancelled its request.
+        if (sid === this.#idCancel) {
+          if (typeof req.c === 'string') this.#handleCancel(req.c);
+          return;
+        }
         // Handle: incoming publish event
         let pType = typeof req.p;
         if (pType === 'string' || pType === 'number') {
-          return this.#handlePublish(req.p, req.d);
+          return this.#handlePublish(req.p, req.d, req.m, sid);
         }
         // Handle: incoming dispatched action.
         let aType = typeof req.a;
         if (aType === 'string' || aType === 'number') {
-          return this.#handleDispatch(req.a, req.d, reply ? (res) => this.#reply(reply, res) : null);
+          if (sid === this.#idDiscover && req.a !== DISCOVER_ACTION) return;  // the discovery subject only serves discovery.
+          let key = (this.#replies && req.m ? req.m[META.IDEMPOTENCY] : null);
+          if (typeof key === 'string' && key) return this.#handleIdempotent(key, req, reply, replyCodec);
+          return this.#handleDispatch(req.a, req.d, reply ? (res) => this.#reply(reply, res, replyCodec) : null, req.m);
         }
       } catch (e) {
         logger.warn(`Could not handle incoming event: [${req.a || req.p}]`, req, e);
@@ -124,99 +303,301 @@ module.exports = (thorin, nOpt, logger) => {
 
     /**
      * Emit an event that came in through publish, not action request.
+     * Events received through an action-filtered subscription are only passed to its functions.
      * */
-    #handlePublish = (event, data) => {
+    #handlePublish = (event, data, meta, sid) => {
       if (this.debug) {
         logger.debug(`[PUB ${this.name}] ${event}`, data || '');
       }
-      this.emit('event', {
-        action: event,
-        payload: data
+      let context = parseMeta(meta),
+        action = getActionName(event);
+      metrics.inc('nats_event_total', {
+        channel: this.name,
+        action
+      });
+      let item = this.#findSubscription(sid);
+      if (item) {
+        if (!pattern.match(item.tokens, action)) return;
+        return this.#runSubscription(item, event, data, context);
+      }
+      if (this.#isPartition(sid) || sid === this.#idLegacy || !this.#actionSubjects) {
+        // keyed events and the events not sent on per-action subjects reach the matching action subscriptions,
+        // as well as the 'event' listeners.
+        Object.keys(this.#subscriptions).forEach((name) => {
+          let sub = this.#subscriptions[name];
+          if (pattern.match(sub.tokens, action)) this.#runSubscription(sub, event, data, context);
+        });
+      }
+      requestContext.run(context, () => {
+        this.emit('event', {
+          action: event,
+          payload: data,
+          context
+        });
+      });
+    }
+
+    /**
+     * Calls the functions of an action-filtered subscription with the received event.
+     * */
+    #runSubscription = (item, event, data, context) => {
+      let action = getActionName(event);
+      requestContext.run(context, () => {
+        item.fns.slice(0).forEach((fn) => {
+          try {
+            let r = fn(data, Object.assign({
+              action: event
+            }, context));
+            if (r && typeof r.catch === 'function') {
+              r.catch((e) => logger.warn(`Event subscriber of [${action}] failed`, e));
+            }
+          } catch (e) {
+            logger.warn(`Event subscriber of [${action}] failed`, e);
+          }
+        });
       });
     }
 
     /**
      * Handles an incoming dispatched event.
+     * The request goes through the plugin-wide and channel inbound middleware, before reaching the handler.
      * If we have a reply callback, done is given. otherwise, we don't need to reply.
      * */
-    #handleDispatch = (event, data, done) => {
+    #handleDispatch = (event, data, done, meta) => {
       let action = getActionName(event);
-      let handler = this.#actions[action],
+      let handler = this.#findHandler(action),
         debug = this.debug,
         name = this.name,
         start;
+      if (this.#closed) return done && done(ERROR_CLOSING);
+      if (action === DISCOVER_ACTION) return done && done(this.#describe());
       if (!handler) return done && done(ERROR_HANDLER);
-      try {
-        let debug = this.debug;
+      if (!this.#canAccept(handler)) {
+        metrics.inc('nats_request_busy_total', {
+          channel: name,
+          action: handler.action
+        });
+        this.#onBusy();
+        return done && done(ERROR_BUSY);
+      }
+      let context = parseMeta(meta),
+        expireAt = getExpireAt(context.deadline, handler.timeout || this.#options.handlerTimeout || nOpt.channel.handlerTimeout);
+      if (expireAt && expireAt <= Date.now()) return done && done(ERROR_HANDLER_TIMEOUT);  // the caller no longer waits for us.
+      if (debug) {
+        start = Date.now();
+        logger.debug(`[INC ${name}] ${event}`, data || '');
+      }
+      let controller = new AbortController(),
+        requestId = (meta && typeof meta[META.REQUEST] === 'string' ? meta[META.REQUEST] : null),
+        timer = null;
+      let req = Object.assign({
+        channel: name,
+        action: event,
+        pattern: handler.pattern ? handler.action : null,
+        payload: data,
+        signal: controller.signal
+      }, context);
+      let aborted = new Promise((resolve, reject) => {
+        controller.signal.addEventListener('abort', () => reject(controller.signal.reason), {
+          once: true
+        });
+      });
+      aborted.catch(noop);
+      if (expireAt) {
+        timer = setTimeout(() => controller.abort(ERROR_HANDLER_TIMEOUT), expireAt - Date.now());
+      }
+      if (requestId) this.#running[requestId] = controller;
+      const cleanup = () => {
+        clearTimeout(timer);
+        if (requestId && this.#running[requestId] === controller) delete this.#running[requestId];
+      };
+      let stack = MIDDLEWARE.inbound.concat(this.#middleware.inbound),
+        labels = {
+          channel: name,
+          action: handler.action
+        },
+        endTimer = metrics.timer('nats_request_duration_seconds', labels);
+      metrics.inc('nats_request_total', labels);
+      metrics.inc('nats_request_in_flight', labels);
+      // requests that waited for a free slot or their partition key are dropped if the caller no longer waits for them.
+      const checkAborted = () => {
+        if (controller.signal.aborted) throw controller.signal.reason;
+      };
+      const run = async () => {
+        checkAborted();
+        return this.#schedule(handler, () => {
+          checkAborted();
+          return requestContext.run(req, () => runMiddleware(stack, req, () => runHandler(handler, req)));
+        });
+      };
+      let pRes = Promise.race([
+        (this.#partitions && context.partitionKey !== null ? this.#serialize(context.partitionKey, run) : run()),
+        aborted
+      ]).then((r) => {
+        cleanup();
+        endTimer();
+        metrics.dec('nats_request_in_flight', labels);
         if (debug) {
-          start = Date.now();
-          logger.debug(`[INC ${name}] ${event}`, data || '');
-        }
-        let pRes = handler(data);
-        if (pRes instanceof Promise) {
-          pRes.then(function (r) {
-            if (debug) {
-              let took = Date.now() - start;
-              logger.debug(`[END ${name}] ${event} (took: ${took}ms)`);
-            }
-            this.emit('request', {
-              action: event,
-              payload: data,
-              result: r
-            });
-            done && done(r);
-          }, function (e) {
-            if (debug) {
-              let took = Date.now() - start;
-              logger.debug(`[END ${name}] ${event} - [${e.code} - ${e.message}] (took: ${took}ms)`);
-            }
-            handleDispatchError(e, action, done);
-          }).catch(function (e) {
-            if (debug) {
-              let took = Date.now() - start;
-              logger.debug(`[END ${name}] ${event} - [${e.code} - ${e.message}] (took: ${took}ms)`);
-            }
-            handleDispatchError(e, action, done);
-          });
-        } else {
-          if (debug) {
-            let took = Date.now() - start;
-            logger.debug(`[END ${name}] ${event} (took: ${took}ms)`);
-          }
-          this.emit('request', {
-            action: event,
-            payload: data,
-            result: pRes
-          });
-          done && done(pRes);
+          let took = Date.now() - start;
+          logger.debug(`[END ${name}] ${event} (took: ${took}ms)`);
         }
-      } catch (e) {
+        this.emit('request', {
+          action: event,
+          payload: req.payload,
+          result: r
+        });
+        done && done(r);
+      }, (e) => {
+        cleanup();
+        e = toError(e);
+        endTimer();
+        metrics.dec('nats_request_in_flight', labels);
+        metrics.inc('nats_request_error_total', labels);
         if (debug) {
           let took = Date.now() - start;
           logger.debug(`[END ${name}] ${event} - [${e.code} - ${e.message}] (took: ${took}ms)`);
         }
         handleDispatchError(e, action, done);
+      });
+      this.#inflight.add(pRes);
+      pRes.then(() => this.#inflight.delete(pRes));
+    }
+
+    /**
+     * Runs the given function once all the previous requests of the partition key are done.
+     * */
+    #serialize = (key, fn) => {
+      let prev = this.#ordered[key] || Promise.resolve(),
+        res = prev.then(() => fn()),
+        tail = res.then(noop, noop);
+      this.#ordered[key] = tail;
+      tail.then(() => {
+        if (this.#ordered[key] === tail) delete this.#ordered[key];
+      });
+      return res;
+    }
+
+    /**
+     * Checks if both the handler's and the channel's limiters can accept a new request.
+     * */
+    #canAccept = (handler) => {
+      if (handler.limiter && !handler.limiter.canAccept()) return false;
+      return this.#limiter.canAccept();
+    }
+
+    /**
+     * Runs the given function once both the handler and the channel have a free slot.
+     * */
+    #schedule = (handler, fn) => {
+      const run = async () => {
+        let r = this.#limiter.run(fn);
+        if (r === null) throw ERROR_BUSY;
+        return r;
+      };
+      let res = (handler.limiter ? handler.limiter.run(run) : run());
+      if (res === null) return Promise.reject(ERROR_BUSY);
+      return res.finally(this.#onIdle);
+    }
+
+    /**
+     * Called when we have to reject a request because we're too busy.
+     * With opt.overflow = "leave" on unique channels, we temporarily leave the queue group,
+     * so that other members pick up the work. We re-join once our local queues are empty.
+     * */
+    #onBusy = () => {
+      if (this.#options.overflow !== 'leave' || !this.#options.unique) return;
+      if (this.#paused || this.#idAction === null) return;
+      if (this.debug) logger.debug(`[BUSY ${this.name}] leaving queue group`);
+      this.#paused = true;
+      this.#client.drainSubscription(this.#idAction, noop);
+      this.#idAction = null;
+    }
+
+    #onIdle = () => {
+      if (!this.#paused || this.#limiter.queued > 0) return;
+      let names = Object.keys(this.#actions);
+      for (let i = 0; i < names.length; i++) {
+        let limiter = this.#actions[names[i]].limiter;
+        if (limiter && limiter.queued > 0) return;
+      }
+      if (this.debug) logger.debug(`[BUSY ${this.name}] re-joining queue group`);
+      this.#paused = false;
+      this.start();
+    }
+
+    /**
+     * Returns the handler for the given action name. Exact names take precedence,
+     * otherwise we use the most specific wildcard handler that matches.
+     * */
+    #findHandler = (action) => {
+      if (this.#actions[action]) return this.#actions[action];
+      for (let i = 0, len = this.#patterns.length; i < len; i++) {
+        let item = this.#patterns[i];
+        if (pattern.match(item.tokens, action)) return item;
       }
+      return null;
+    }
+
+    /**
+     * Runs all the plugin-wide and channel outbound hooks over the request envelope,
+     * right before we encode it and send it through NATS.
+     * A hook can either alter the given envelope or return a new one.
+     * */
+    #applyOutbound = (type, envelope) => {
+      let hooks = MIDDLEWARE.outbound.concat(this.#middleware.outbound);
+      for (let i = 0, len = hooks.length; i < len; i++) {
+        let r = hooks[i](envelope, {
+          channel: this.name,
+          type
+        });
+        if (typeof r === 'object' && r) envelope = r;
+      }
+      return envelope;
     }
 
     /**
      * Uses a reply subscription inbox to publish back a response.
      * If the reply id (rid) does not exist, we simply ignore.
-     * If data is error, we set the "e", otherwise we set the "d" field.
+     * If data is error, we set the "e" (see serializeError()), otherwise we set the "d" field.
+     * The "n" field always contains the thorin.id of the replying node.
+     * If the request was encoded with a codec, we reply using the same codec.
+     * */
+    #reply = (rid, data, replyCodec) => {
+      return this.#send(rid, this.#toReply(data), replyCodec);
+    }
+
+    /**
+     * Returns the {d} or {e} reply object of the given result.
+     * */
+    #toReply = (data) => {
+      let res = {};
+      if (data instanceof Error) {
+        res.e = serializeError(data, this.debug);
+      } else if (typeof data !== 'undefined' && data !== null) {
+        res.d = data;
+      }
+      return res;
+    }
+
+    /**
+     * Sends the given reply object to the reply inbox.
      * */
-    #reply = (rid, data) => {
+    #send = (rid, reply, replyCodec) => {
       if (!this.#client) return false;
       if (typeof rid !== 'string' || !rid) return false;
       try {
-        let res = {};
-        if (data instanceof thorin.Error) {
-          res.e = data;
-        } else if (typeof data !== 'undefined' && data !== null) {
-          res.d = data;
+        let res = Object.assign({
+          n: thorin.id
+        }, reply);
+        if (replyCodec) {
+          res = codecs.toWire(codecs.encode(res, Object.assign({
+            threshold: (this.#codec ? this.#codec.threshold : nOpt.channel.compressThreshold)
+          }, replyCodec)), this.#client);
+        } else {
+          res = this.encode(res);
         }
-        res = this.encode(res);
         if (res === null) return false;
-        this.#client.publish(rid, res);
+        this.#client.publish(rid, chunker.prepare(this.#client, res, true));
         return true;
       } catch (e) {
         logger.warn(`Could not reply to ${rid} with data`, e);
@@ -224,6 +605,81 @@ module.exports = (thorin, nOpt, logger) => {
       }
     }
 
+    /**
+     * Handles an incoming dispatch that carries an idempotency key.
+     * The handler runs only once per key and action, duplicates receive the same reply.
+     * Transient errors (eg: busy, timeout, cancelled) are not cached, so that the caller can retry.
+     * */
+    #handleIdempotent = (key, req, reply, replyCodec) => {
+      let action = getActionName(req.a);
+      this.#replies.run(`${action}:${key}`, () => new Promise((resolve) => {
+        this.#handleDispatch(req.a, req.d, (res) => resolve(this.#toReply(res)), req.m);
+      }), canCacheReply).then((res) => {
+        if (reply) return this.#send(reply, res, replyCodec);
+        if (res.e) logger.warn(`Could not process action [${action}] - ${res.e.message}`);
+      }, (e) => {
+        logger.warn(`Could not handle idempotent action [${action}]`, e);
+        this.#reply(reply, e, replyCodec);
+      });
+    }
+
+    /**
+     * Aborts the signal of the given incoming request, if we're currently handling it.
+     * */
+    #handleCancel = (requestId) => {
+      let controller = this.#running[requestId];
+      if (!controller) return;
+      delete this.#running[requestId];
+      if (this.debug) logger.debug(`[CANCEL ${this.name}] ${requestId}`);
+      controller.abort(ERROR_CANCELLED);
+    }
+
+    /**
+     * Returns the introspection information of this node's channel, as a reply to the reserved discovery action.
+     * */
+    #describe = () => {
+      let actions = Object.keys(this.#actions).map((name) => {
+        let handler = this.#actions[name];
+        return {
+          action: handler.action,
+          pattern: handler.pattern,
+          input: schema.describe(handler.input),
+          output: schema.describe(handler.output)
+        };
+      });
+      return {
+        node: thorin.id,
+        service: thorin.app,
+        channel: this.name,
+        unique: !!this.#options.unique,
+        partitions: this.partitions,
+        actions,
+        uptime: Math.round(process.uptime())
+      };
+    }
+
+    /**
+     * Checks if the given sid is one of our keyed events partition subscriptions.
+     * */
+    #isPartition = (sid) => {
+      if (typeof sid === 'undefined' || sid === null) return false;
+      let sids = this.#idPartitions[CHANNEL.PUBLISH] || {},
+        keys = Object.keys(sids);
+      for (let i = 0; i < keys.length; i++) {
+        if (sids[keys[i]] === sid) return true;
+      }
+      return false;
+    }
+
+    #findSubscription = (sid) => {
+      if (typeof sid === 'undefined' || sid === null) return null;
+      let names = Object.keys(this.#subscriptions);
+      for (let i = 0; i < names.length; i++) {
+        if (this.#subscriptions[names[i]].sid === sid) return this.#subscriptions[names[i]];
+      }
+      return null;
+    }
+
     /**
      * Checks if the channel has any action handlers.
      * */
@@ -258,28 +714,123 @@ module.exports = (thorin, nOpt, logger) => {
      * This is the main internal subscription for this channel.
      * */
     start() {
-      if (!this.#client) return false;
+      if (!this.#client || this.#closed) return false;
       let cOpt = {};
       if (this.#options.unique) {
         cOpt.queue = this.getName(CHANNEL.QUEUE);
       }
-      if (this.#hasActions() && !this.#idAction) {
+      if (this.#hasActions() && !this.#idAction && !this.#paused) {
         let channel = this.getName(CHANNEL.ACTION);
         if (this.debug) {
           logger.trace(`[SUB ${channel}]`);
         }
         this.#idAction = this.#client.subscribe(channel, cOpt, this.#handleEvent);
       }
-      if (this.#hasEvents() && !this.#idPublish) {
+      if (this.#hasActions() && !this.#idDiscover) {
+        this.#idDiscover = this.#client.subscribe(this.getName(CHANNEL.DISCOVER), this.#handleEvent);
+        this.#idCancel = this.#client.subscribe(this.getName(CHANNEL.CANCEL), this.#handleEvent);
+      }
+      let hasSubscriptions = Object.keys(this.#subscriptions).length > 0;
+      if ((this.#hasEvents() || hasSubscriptions) && !this.#idLegacy) {
         let channel = this.getName(CHANNEL.PUBLISH);
         if (this.debug) {
           logger.trace(`[SUB ${channel}]`);
         }
-        this.#idPublish = this.#client.subscribe(channel, cOpt, this.#handleEvent);
+        this.#idLegacy = this.#client.subscribe(channel, cOpt, this.#handleEvent);
+      }
+      // without per-action subjects, the subscriptions receive the events sent on them by the other nodes from here.
+      if ((this.#hasEvents() || (hasSubscriptions && !this.#actionSubjects)) && !this.#idPublish) {
+        this.#idPublish = this.#client.subscribe(`${this.getName(CHANNEL.PUBLISH)}.>`, cOpt, this.#handleEvent);
       }
+      if (this.#partitions && this.#hasActions()) this.#joinPartitions(CHANNEL.ACTION);
+      if (this.#partitions && (this.#hasEvents() || hasSubscriptions)) this.#joinPartitions(CHANNEL.PUBLISH);
+      if (!this.#actionSubjects) return true;
+      Object.keys(this.#subscriptions).forEach((name) => {
+        let item = this.#subscriptions[name];
+        if (item.sid !== null) return;
+        let channel = `${this.getName(CHANNEL.PUBLISH)}.${item.action}`;
+        if (this.debug) {
+          logger.trace(`[SUB ${channel}]`);
+        }
+        // a queue group receives a message only once, across all its subscriptions matching the subject.
+        item.sid = this.#client.subscribe(channel, this.#options.unique ? {queue: `${channel}.q`} : {}, this.#handleEvent);
+      });
       return true;
     }
 
+    /**
+     * Joins the member group of the given side (CHANNEL.ACTION or CHANNEL.PUBLISH) of a partitioned channel.
+     * */
+    #joinPartitions = (side) => {
+      if (this.#groups[side]) return;
+      let group = new PartitionGroup(this.#client, `${this.getName(CHANNEL.MEMBERS)}.${side}`, this.#partitions);
+      this.#groups[side] = group;
+      this.#idPartitions[side] = {};
+      group.on('rebalance', (data) => this.#onRebalance(side, data));
+      group.join();
+    }
+
+    /**
+     * Called when the partitions we own change. We subscribe to the partitions we claimed,
+     * and drain the ones we lost, so that their in-flight requests still finish.
+     * Partition subscriptions use a per-partition queue group, so that a message is never handled twice
+     * while members briefly disagree on the assignment.
+     * */
+    #onRebalance = (side, data) => {
+      if (!this.#client) return;
+      let sids = this.#idPartitions[side];
+      data.removed.forEach((i) => {
+        let sid = sids[i];
+        if (typeof sid === 'undefined') return;
+        delete sids[i];
+        this.#client.drainSubscription(sid, noop);
+      });
+      data.added.forEach((i) => {
+        if (typeof sids[i] !== 'undefined') return;
+        let channel = `${this.#getPartitionName(i)}.${side}`;
+        if (this.debug) {
+          logger.trace(`[SUB ${channel}]`);
+        }
+        sids[i] = this.#client.subscribe(channel, {
+          queue: `${channel}.q`
+        }, this.#handleEvent);
+      });
+      this.emit('rebalance', {
+        side: (side === CHANNEL.ACTION ? 'actions' : 'events'),
+        partitions: data.partitions,
+        members: data.members.length
+      });
+    }
+
+    /**
+     * Returns the subject prefix of the given partition.
+     * */
+    #getPartitionName = (partition) => `${this.getName(CHANNEL.PARTITION)}.${partition}`;
+
+    /**
+     * Returns the partition subject of the given partition key and sub channel.
+     * */
+    #getPartitionSubject = (key, subChannel) => {
+      if (!this.#partitions) throw thorin.error('DATA.INVALID', `Channel ${this.name} is not partitioned`);
+      let kType = typeof key;
+      if ((kType !== 'string' && kType !== 'number') || key === '') throw thorin.error('DATA.INVALID', 'Partition key must be a string or number');
+      return `${this.#getPartitionName(PartitionGroup.getPartition(key, this.#partitions.count))}.${subChannel}`;
+    }
+
+    /**
+     * Returns the partitions this node currently owns, as {actions, events},
+     * or null if the channel is not partitioned or not serving.
+     * */
+    get partitions() {
+      let action = this.#groups[CHANNEL.ACTION],
+        publish = this.#groups[CHANNEL.PUBLISH];
+      if (!action && !publish) return null;
+      return {
+        actions: (action ? action.partitions : []),
+        events: (publish ? publish.partitions : [])
+      };
+    }
+
     /**
      * Stops incoming events by unsubscribing the channel from nats.
      * */
@@ -293,20 +844,39 @@ module.exports = (thorin, nOpt, logger) => {
         }
         this.#idAction = null;
       }
-      if (this.#idPublish !== null) {
+      let sids = [this.#idPublish, this.#idLegacy];
+      Object.keys(this.#subscriptions).forEach((name) => {
+        sids.push(this.#subscriptions[name].sid);
+        this.#subscriptions[name].sid = null;
+      });
+      sids.forEach((sid) => {
+        if (sid === null) return;
         if (this.#options.unique) {
-          this.#client.drainSubscription(this.#idPublish, noop);
+          this.#client.drainSubscription(sid, noop);
         } else {
-          this.#client.unsubscribe(this.#idPublish);
+          this.#client.unsubscribe(sid);
         }
-        this.#idPublish = null;
+      });
+      this.#idPublish = null;
+      this.#idLegacy = null;
+      Object.keys(this.#groups).forEach((side) => {
+        this.#groups[side].leave();
+        this.#groups[side].removeAllListeners();
+      });
+      this.#groups = {};
+      this.#idPartitions = {};
+      if (this.#idDiscover !== null) {
+        this.#client.unsubscribe(this.#idDiscover);
+        this.#client.unsubscribe(this.#idCancel);
+        this.#idDiscover = null;
+        this.#idCancel = null;
       }
       return true;
     }
 
     /**
      * If provided with a function, it will be used to encode the payload before we send it through NATS.
-     * By default, we use the JSON.stringify encoder.
+     * By default, we use the channel's codec if one is configured (opt.codec), or the JSON.stringify encoder.
      *
      * Otherwise, try to encode the data.
      * */
@@ -316,7 +886,14 @@ module.exports = (thorin, nOpt, logger) => {
         return this;
       }
       try {
-        let e = this.#encode(d);
+        let e;
+        if (this.#encode) {
+          e = this.#encode(d);
+        } else if (this.#codec) {
+          e = codecs.toWire(codecs.encode(d, this.#codec), this.#client);
+        } else {
+          e = JSON.stringify(d);
+        }
         if (typeof e === 'undefined' || e === null) return null;
         return e;
       } catch (e) {
@@ -326,7 +903,7 @@ module.exports = (thorin, nOpt, logger) => {
 
     /**
      * If provided with a funciton, it will be used to decode the payload before we send it through NATS.io
-     * By default, we use the JSON.parse decoder.
+     * By default, we detect codec frames from their header, and fall back to the JSON.parse decoder.
      * Otherwise, try to decode the data.
      * */
     decode(d) {
@@ -335,7 +912,13 @@ module.exports = (thorin, nOpt, logger) => {
         return this;
       }
       try {
-        let de = this.#decode(d);
+        let de;
+        if (this.#decode) {
+          de = this.#decode(d);
+        } else {
+          let frame = codecs.fromWire(d);
+          de = (frame ? codecs.decode(frame) : JSON.parse(d));
+        }
         if (typeof de === 'undefined' || de === null) return null;
         return de;
       } catch (e) {
@@ -343,7 +926,6 @@ module.exports = (thorin, nOpt, logger) => {
       }
     }
 
-
     /**
      * Returns the publish/sub channel name, using the prefix.
      * */
@@ -356,23 +938,123 @@ module.exports = (thorin, nOpt, logger) => {
       return r;
     }
 
+    /**
+     * Registers a channel middleware function.
+     * @Arguments
+     *  - type [=inbound] - the middleware type, either "inbound" or "outbound"
+     *  - fn - the middleware function.
+     *  Inbound middleware run before every action handler of this channel, as fn(req, next),
+     *  where req is the request context {channel, action, pattern, payload, trace, caller, ...}.
+     *  Calling "await next()" runs the rest of the stack and returns its result. Throwing an error short-circuits the request and replies with it.
+     *  Outbound hooks run as fn(envelope, {channel, type}) before a dispatch()/gather()/publish()
+     *  envelope is encoded, and can alter or replace it.
+     * */
+    use(type, fn) {
+      if (typeof type === 'function') {
+        fn = type;
+        type = 'inbound';
+      }
+      addMiddleware(this.#middleware, type, fn);
+      return this;
+    }
+
     /**
      * Registers an internal RPC handler for a given action name.
      * @Arguments
-     *  - action - the action name to handle.
-     *  - fn - the callback function to run when we receive something.
+     *  - action - the action name to handle. Can be a NATS-style pattern, eg: "user.*", "audit.>" or ">" as a catch-all.
+     *  - def - optional schema definition, used to validate the incoming payload and the result.
+     *  - def.input - an object of {field: validator} to validate the payload before the handler runs.
+     *  - def.output - an object of {field: validator} to validate the handler result.
+     *  - def.concurrency - the max number of requests of this action handled at the same time.
+     *  - def.queueSize - the max number of requests of this action waiting for a free slot.
+     *  - def.timeout - the max time (in ms) the handler can run, before we reply with NATS.HANDLER_TIMEOUT. Defaults to opt.handlerTimeout
+     *  - fn - the callback function to run when we receive something, as fn(payload, context)
+     *  The context contains {channel, action, pattern, trace, caller, deadline, locale, headers, idempotencyKey, partitionKey, signal}
+     *  The signal is an AbortSignal, aborted when the caller cancels the request or the deadline/timeout passes.
+     *  Validators are either thorin.sanitize() type names or dispatcher.validate() objects.
+     *  The definition can also be given after the function, as handle(action, fn, def)
      * */
-    handle(action, fn) {
+    handle(action, def, fn) {
+      if (typeof def === 'function') {
+        let tmp = fn;
+        fn = def;
+        def = (typeof tmp === 'object' && tmp ? tmp : {});
+      }
       let aType = (typeof action);
       if (aType !== 'string' && aType !== 'number') throw thorin.error('DATA.INVALID', 'Handler action name must be a string or number');
       let aName = getActionName(action);
+      if (aName === DISCOVER_ACTION) throw thorin.error('DATA.INVALID', `Handler action ${aName} is reserved`);
       if (this.#actions[aName]) throw thorin.error('DATA.INVALID', 'A handler is already registered for ' + action);
       if (typeof fn !== 'function' || !fn) throw thorin.error('DATA.INVALID', 'Handler fn must be a function');
-      this.#actions[aName] = fn;
+      if (typeof def !== 'object' || !def) throw thorin.error('DATA.INVALID', 'Handler definition must be an object');
+      if (this.#contract && this.#contract[aName]) {
+        // use the contract schemas, unless the handler has its own.
+        def = Object.assign({
+          input: this.#contract[aName].input,
+          output: this.#contract[aName].output
+        }, def);
+      }
+      if (def.input && !schema.isValid(def.input)) throw thorin.error('DATA.INVALID', 'Handler input schema is not valid for ' + action);
+      if (def.output && !schema.isValid(def.output)) throw thorin.error('DATA.INVALID', 'Handler output schema is not valid for ' + action);
+      let handler = {
+        action: aName,
+        pattern: pattern.isPattern(aName),
+        fn,
+        input: def.input || null,
+        output: def.output || null,
+        limiter: (def.concurrency ? new Limiter(def.concurrency, def.queueSize) : null),
+        timeout: (typeof def.timeout === 'number' && def.timeout > 0 ? def.timeout : null)
+      };
+      if (handler.pattern) {
+        handler.tokens = pattern.parse(aName);
+        if (!handler.tokens) throw thorin.error('DATA.INVALID', 'Handler action pattern is not valid: ' + action);
+        this.#patterns.push(handler);
+        this.#patterns.sort((a, b) => pattern.compare(a.tokens, b.tokens));
+      }
+      this.#actions[aName] = handler;
       this.start(); // only start when we have the first handler.
       return this;
     }
 
+    /**
+     * Sets the contract of this channel. Handlers registered afterwards for contract actions
+     * use the contract's input/output schemas, unless they define their own.
+     * See lib/contract.js for the contract structure.
+     * */
+    contract(def) {
+      this.#contract = contracts.validate(def);
+      return this;
+    }
+
+    /**
+     * Returns a proxy object of the given contract (or the channel's contract), where every action
+     * is a function placed at its dotted path, that dispatches it through this channel.
+     * Eg: proxy.api.user.read(payload, opt) calls dispatch('api.user.read', payload, opt)
+     * */
+    proxy(def) {
+      def = (def ? contracts.validate(def) : this.#contract);
+      if (!def) throw thorin.error('DATA.INVALID', `Channel ${this.name} has no contract`);
+      return contracts.proxy(def, (action, payload, opt) => this.dispatch(action, payload, opt));
+    }
+
+    /**
+     * Checks that this channel handles all the actions of the given contract (or the channel's contract).
+     * Meant to be called at startup, after all handlers were registered.
+     * Throws NATS.CONTRACT, having error.data.missing containing the actions with no handler.
+     * */
+    verify(def) {
+      def = (def ? contracts.validate(def) : this.#contract);
+      if (!def) throw thorin.error('DATA.INVALID', `Channel ${this.name} has no contract`);
+      let missing = contracts.missing(def, (action) => !!this.#findHandler(action));
+      if (missing.length > 0) {
+        throw thorin.error('NATS.CONTRACT', `Channel ${this.name} does not implement its contract`, 500, {
+          channel: this.name,
+          missing
+        });
+      }
+      return true;
+    }
+
     /**
      * Sends a RPC request through this channel. This is similar thorin-plugin-cluster's
      * dispatch function - essentially, we send a RPC name and payload with optional waiting for response.
@@ -382,75 +1064,427 @@ module.exports = (thorin, nOpt, logger) => {
      *  - opt.timeout [=3000] - the timeout (in ms) we want to use, defaults to opt.channel.timeout
      *  - opt.wait [=true] - if set to false, we do not wait for a reply - acts like a publish.
      *  - opt.max [=1] - if set, we limit the number of responses we get.
+     *  - opt.meta - optional request metadata, see createMeta()
+     *  - opt.retry - the retry policy of this call, merged with the channel's opt.retry. Set to false to disable retries.
+     *  - opt.retry.attempts [=1] - the total number of attempts.
+     *  - opt.retry.delay [=100] - the initial backoff delay (in ms), multiplied by opt.retry.factor on each attempt.
+     *  - opt.retry.factor [=2] - the exponential backoff factor.
+     *  - opt.retry.maxDelay [=5000] - the maximum backoff delay (in ms).
+     *  - opt.retry.jitter [=true] - if set, we randomize the backoff delay between 0 and the computed value.
+     *  - opt.retry.codes - the error codes we consider retryable.
+     *  - opt.partitionKey - on partitioned channels, the key (eg: the user id) that selects the partition, see opt.partitions
+     *  - opt.idempotencyKey - a unique key of this operation, eg: the payment id. Handling channels with opt.idempotency
+     *    run the handler only once per key, so that retries and duplicate dispatches receive the original reply.
+     *  - opt.signal - an AbortSignal that cancels the request. We then reject with NATS.CANCELLED,
+     *    and the handling node aborts the request's context signal.
+     * When the channel has opt.breaker set, repeated timeouts/failures of an action open its circuit,
+     * and further dispatches fail fast with NATS.CIRCUIT_OPEN until the cooldown passes.
+     * Every attempt carries a deadline of now + timeout, so that handlers can stop once we no longer wait for them.
      * */
     dispatch(action, payload = {}, opt = {}) {
-      if (!this.#client) return false;
       if (typeof payload !== 'object' || !payload) throw thorin.error('DATA.INVALID', 'Request payload must be an object');
       let aType = typeof action;
       if (aType !== 'string' && aType !== 'number') throw thorin.error('DATA.INVALID', 'Request action must be a string or number');
+      let hasKey = (typeof opt.partitionKey !== 'undefined' && opt.partitionKey !== null),
+        channel = (hasKey ? this.#getPartitionSubject(opt.partitionKey, CHANNEL.ACTION) : this.getName(CHANNEL.ACTION));
+      if (this.#shouldBuffer()) return this.#enqueue('dispatch', action, payload, opt);
+      if (!this.#client) return false;
       let timeout = (typeof opt.timeout === 'number' ? opt.timeout : nOpt.channel.timeout),
         wait = (typeof opt.wait === 'boolean' ? opt.wait : true),
-        channel = this.getName(CHANNEL.ACTION),
         maxResponses = (typeof opt.max === 'number' ? opt.max : 1);
       if (timeout <= 50) timeout = timeout * 1000;  // make sure we have ms.
-      let req = {
+      let signal = opt.signal || null;
+      if (signal && signal.aborted) return Promise.reject(ERROR_CANCELLED);
+      let m = createMeta(opt.meta);
+      if (typeof opt.idempotencyKey === 'string' && opt.idempotencyKey) m[META.IDEMPOTENCY] = opt.idempotencyKey;
+      if (hasKey) m[META.PARTITION] = String(opt.partitionKey);
+      let envelope = this.#applyOutbound('dispatch', {
         a: action,
-        d: payload
+        d: payload,
+        m
+      });
+      let labels = {
+        channel: this.name,
+        action: getActionName(action)
       };
-      req = this.encode(req);
+      metrics.inc('nats_dispatch_total', labels);
       if (wait === false) {
-        this.#client.request(channel, req);
+        this.#client.request(channel, chunker.prepare(this.#client, this.encode(envelope)));
         return true;
       }
-      return new Promise((resolve, reject) => {
-        this.#client.request(channel, req, {
+      let policy = this.#getRetryPolicy(opt.retry),
+        breaker = this.#getBreaker(labels.action),
+        rOpt = {
           max: maxResponses,
           timeout
-        }, (msg) => {
+        };
+      return (async () => {
+        let attempt = 0;
+        while (true) {
+          if (signal && signal.aborted) throw ERROR_CANCELLED;
+          if (!this.#client) throw ERROR_DESTROYED;
+          if (breaker && !breaker.allow()) throw ERROR_CIRCUIT_OPEN;
+          try {
+            let requestId = createTraceId(),
+              m = Object.assign({}, envelope.m),
+              remaining = timeout;
+            if (opt.meta && typeof opt.meta.deadline === 'number') remaining = Math.min(remaining, opt.meta.deadline - Date.now());
+            m[META.DEADLINE] = Math.max(0, remaining);
+            m[META.REQUEST] = requestId;
+            let req = chunker.prepare(this.#client, this.encode(Object.assign({}, envelope, {
+              m
+            })), maxResponses === 1);
+            let res = await this.#request(channel, req, rOpt, labels, signal, requestId);
+            if (breaker) breaker.success();
+            return res;
+          } catch (e) {
+            if (e === ERROR_CANCELLED) {
+              if (breaker) breaker.release();  // a cancelled probe tells nothing about the other side.
+              throw e;
+            }
+            let retryable = policy.codes.indexOf(e.code) !== -1;
+            if (breaker) {
+              // remote handler errors mean that the other side is up and running.
+              retryable ? breaker.failure() : breaker.success();
+            }
+            attempt++;
+            if (!retryable || attempt >= policy.attempts) throw e;
+            let wait = getBackoff(policy, attempt);
+            if (this.debug) {
+              logger.debug(`[RETRY ${this.name}] ${action} - attempt ${attempt + 1}/${policy.attempts} in ${wait}ms (${e.code})`);
+            }
+            await sleep(wait, signal);
+          }
+        }
+      })();
+    }
+
+    /**
+     * Performs a single request/reply round trip through NATS.
+     * If the signal is aborted meanwhile, we stop waiting for the reply
+     * and notify the handling node through the channel's cancel subject.
+     * */
+    #request = (channel, req, rOpt, labels, signal, requestId) => {
+      metrics.inc('nats_dispatch_in_flight', labels);
+      let endTimer = metrics.timer('nats_dispatch_duration_seconds', labels),
+        isDone = false,
+        rid = null;
+      return new Promise((resolve, reject) => {
+        const onAbort = () => {
+          if (isDone) return;
+          isDone = true;
+          metrics.dec('nats_dispatch_in_flight', labels);
+          if (this.#client) {
+            this.#client.unsubscribe(rid);
+            this.#client.publish(this.getName(CHANNEL.CANCEL), this.encode({
+              c: requestId
+            }));
+          }
+          reject(ERROR_CANCELLED);
+        };
+        if (signal) signal.addEventListener('abort', onAbort, {
+          once: true
+        });
+        rid = this.#client.request(channel, req, rOpt, async (msg) => {
+          if (isDone) return;
+          isDone = true;
+          if (signal) signal.removeEventListener('abort', onAbort);
+          msg = await this.#receive(msg);
+          metrics.dec('nats_dispatch_in_flight', labels);
+          let res = this.#parseResponse(msg);
           if (msg instanceof nats.NatsError) {
-            let errCode = `NATS.${msg.code.toUpperCase()}`,
-              errMsg = `An error occurred while performing request`,
-              err;
-            if (errCode === 'NATS.REQ_TIMEOUT') {
-              err = ERROR_TIMEOUT;
+            metrics.inc(msg.code === nats.REQ_TIMEOUT ? 'nats_dispatch_timeout_total' : 'nats_dispatch_failed_total', labels);
+          } else {
+            endTimer();
+            if (res.error) metrics.inc('nats_dispatch_remote_error_total', labels);
+          }
+          if (res.error) return reject(res.error);
+          resolve(res.data);
+        });
+      });
+    }
+
+    /**
+     * Returns the retry policy to use, by merging the per-call policy
+     * with the channel's and the plugin's default one.
+     * A per-call policy of false disables retries.
+     * */
+    #getRetryPolicy = (callPolicy) => {
+      if (callPolicy === false) return NO_RETRY;
+      return Object.assign({}, DEFAULT_RETRY, nOpt.channel.retry || {}, this.#options.retry || {}, callPolicy || {});
+    }
+
+    /**
+     * Returns the circuit breaker of the given action, if the channel has one configured.
+     * */
+    #getBreaker = (action) => {
+      let bOpt = (typeof this.#options.breaker !== 'undefined' ? this.#options.breaker : nOpt.channel.breaker);
+      if (!bOpt) return null;
+      if (!this.#breakers[action]) {
+        this.#breakers[action] = new CircuitBreaker(bOpt === true ? {} : bOpt);
+      }
+      return this.#breakers[action];
+    }
+
+    /**
+     * Scatter-gather version of dispatch(). Sends the RPC request to all the non-unique
+     * subscribers of this channel and collects every reply until we either
+     * receive opt.max responses or the timeout is reached.
+     * The promise never rejects because of a timeout, instead it resolves with the partial results.
+     * @Arguments
+     *  - action - the RPC action name
+     *  - payload - an object with the data we want to send.
+     *  - opt.timeout [=3000] - the max time (in ms) we wait for replies, defaults to opt.channel.timeout
+     *  - opt.max - if set, we stop once we've received this many responses.
+     *  - opt.meta - optional request metadata, see createMeta()
+     * @Resolves
+     *  - result.results - an array of {node, data} for every successful reply
+     *  - result.errors - an array of {node, error} for every error reply
+     *  - result.timeout - true if we stopped because of the timeout, before reaching opt.max
+     * */
+    gather(action, payload = {}, opt = {}) {
+      if (!this.#client) return false;
+      if (typeof payload !== 'object' || !payload) throw thorin.error('DATA.INVALID', 'Request payload must be an object');
+      let aType = typeof action;
+      if (aType !== 'string' && aType !== 'number') throw thorin.error('DATA.INVALID', 'Request action must be a string or number');
+      return this.#gather(this.getName(CHANNEL.ACTION), action, payload, opt, 'gather');
+    }
+
+    /**
+     * Discovers all the nodes currently serving this channel, including the members of unique (queue group) channels.
+     * Resolves with an array of {node, service, channel, unique, actions, uptime}, one for every node that replied in time,
+     * where actions is an array of {action, pattern, input, output} with the input/output schema descriptions.
+     * @Arguments
+     *  - opt.timeout [=3000] - the max time (in ms) we wait for replies, defaults to opt.channel.timeout
+     *  - opt.max - if set, we stop once this many nodes replied.
+     * */
+    async discover(opt = {}) {
+      if (!this.#client) throw ERROR_DESTROYED;
+      let res = await this.#gather(this.getName(CHANNEL.DISCOVER), DISCOVER_ACTION, {}, opt, 'discover');
+      return res.results.map((item) => item.data);
+    }
+
+    /**
+     * Sends the request to the given subject, collecting every reply. See gather()
+     * */
+    #gather = (channel, action, payload, opt, type) => {
+      let timeout = (typeof opt.timeout === 'number' ? opt.timeout : nOpt.channel.timeout),
+        maxResponses = (typeof opt.max === 'number' && opt.max > 0 ? opt.max : 0);
+      if (timeout <= 50) timeout = timeout * 1000;  // make sure we have ms.
+      let req = {
+        a: action,
+        d: payload,
+        m: createMeta(opt.meta)
+      };
+      req = chunker.prepare(this.#client, this.encode(this.#applyOutbound(type, req)));
+      let labels = {
+        channel: this.name,
+        action: getActionName(action)
+      };
+      metrics.inc('nats_dispatch_total', labels);
+      return new Promise((resolve) => {
+        let result = {
+            results: [],
+            errors: [],
+            timeout: false
+          },
+          received = 0,
+          pending = 0,
+          isDone = false;
+        const done = () => {
+          if (isDone) return;
+          isDone = true;
+          resolve(result);
+        };
+        let rOpt = {
+          timeout
+        };
+        if (maxResponses) rOpt.max = maxResponses;
+        this.#client.request(channel, req, rOpt, async (msg) => {
+          if (isDone) return;
+          if (msg instanceof nats.NatsError) {
+            if (msg.code === nats.REQ_TIMEOUT) {
+              result.timeout = true;
             } else {
-              err = thorin.error(errCode, errMsg);
+              result.errors.push({
+                node: null,
+                error: this.#parseResponse(msg).error
+              });
             }
-            return reject(err);
+            return done();
           }
-          let res = this.decode(msg);
-          if (!res) {
-            return reject(ERROR_RESPONSE);
-          }
-          // got error.
-          if (typeof res.e === 'object' && res.e) {
-            let err = thorin.error(res.e.code, res.e.message, res.e.status, res.e.data);
-            return reject(err);
+          received++;
+          pending++;
+          msg = await this.#receive(msg);
+          pending--;
+          if (isDone) return;
+          let res = this.#parseResponse(msg);
+          if (res.error) {
+            metrics.inc('nats_dispatch_remote_error_total', labels);
+            result.errors.push({
+              node: res.node,
+              error: res.error
+            });
+          } else {
+            result.results.push({
+              node: res.node,
+              data: res.data
+            });
           }
-          resolve(res.d);
+          if (maxResponses && received >= maxResponses && pending === 0) done();
         });
       });
     }
 
+    /**
+     * Resolves with the full reply message, pulling its chunks if it was chunked.
+     * If we could not receive it, we resolve with the error.
+     * */
+    #receive = async (msg) => {
+      let transfer = chunker.parse(msg);
+      if (!transfer) return msg;
+      try {
+        return await chunker.receive(this.#client, transfer);
+      } catch (e) {
+        return e;
+      }
+    }
+
+    /**
+     * Parses an incoming reply message (or a NatsError) and returns
+     * an object containing {error} or {data}, along with the {node} that replied.
+     * */
+    #parseResponse = (msg) => {
+      if (msg instanceof nats.NatsError) {
+        let errCode = `NATS.${msg.code.toUpperCase()}`,
+          errMsg = `An error occurred while performing request`;
+        if (errCode === 'NATS.REQ_TIMEOUT') {
+          return {
+            error: ERROR_TIMEOUT
+          };
+        }
+        return {
+          error: thorin.error(errCode, errMsg)
+        };
+      }
+      if (msg instanceof thorin.Error) {
+        return {
+          error: msg
+        };
+      }
+      let res = this.decode(msg);
+      if (!res) {
+        return {
+          error: ERROR_RESPONSE
+        };
+      }
+      let node = (typeof res.n === 'string' ? res.n : null);
+      // got error.
+      if (typeof res.e === 'object' && res.e) {
+        return {
+          node,
+          error: parseError(res.e, node)
+        };
+      }
+      return {
+        node,
+        data: res.d
+      };
+    }
+
+    /**
+     * Subscribes to the published events of the given action, without receiving all the other events of the channel.
+     * With opt.actionSubjects, every action maps to its own NATS subject under the channel's publish subject,
+     * so we only receive what we listen for. Otherwise, we receive all the events of the channel and filter them locally.
+     * The action can contain "*" and ">" wildcards, eg: "user.*" or "audit.>"
+     * The function is called with fn(payload, context), where context is {action, trace, caller, ...}
+     * On unique channels with opt.actionSubjects, every subscription uses its own "{subject}.q" queue group, so that an event reaches
+     * both the matching subscriptions and the 'event' listeners, once per group.
+     * */
+    subscribe(action, fn) {
+      let aType = typeof action;
+      if (aType !== 'string' && aType !== 'number') throw thorin.error('DATA.INVALID', 'Subscription action must be a string or number');
+      let aName = getActionName(action);
+      if (!pattern.isSubject(aName, true)) throw thorin.error('DATA.INVALID', 'Subscription action is not valid: ' + action);
+      if (typeof fn !== 'function') throw thorin.error('DATA.INVALID', 'Subscription fn must be a function');
+      let item = this.#subscriptions[aName];
+      if (!item) {
+        item = {
+          action: aName,
+          tokens: pattern.parse(aName),
+          sid: null,
+          fns: []
+        };
+        this.#subscriptions[aName] = item;
+      }
+      item.fns.push(fn);
+      this.start();
+      return this;
+    }
+
+    /**
+     * Removes the given function from the action's subscription, or all of them if fn is not given.
+     * Once the action has no more functions, we unsubscribe from its subject, if it has one.
+     * */
+    unsubscribe(action, fn) {
+      let aName = getActionName(action),
+        item = this.#subscriptions[aName];
+      if (!item) return false;
+      if (typeof fn === 'function') {
+        let idx = item.fns.indexOf(fn);
+        if (idx === -1) return false;
+        item.fns.splice(idx, 1);
+      } else {
+        item.fns = [];
+      }
+      if (item.fns.length > 0) return true;
+      delete this.#subscriptions[aName];
+      if (item.sid !== null && this.#client) {
+        this.#client.unsubscribe(item.sid);
+      }
+      return true;
+    }
+
     /**
      * Publishes the given action and payload to this channel.
      * This acts in essence like a dispatch() but with no handlers, nor reply.
+     * The event is sent on "{prefix}{name}.p", or with opt.actionSubjects on the action's own subject "{prefix}{name}.p.{action}".
+     * Action names that are not valid NATS subjects (eg: containing spaces or wildcards) are always sent on "{prefix}{name}.p".
      * @Arguments
      *  - action - the action/event name to publish
      *  - payload - optional object payload to send.
+     *  - opt.meta - optional request metadata, see createMeta()
+     *  - opt.partitionKey - on partitioned channels, the key that selects the partition. Keyed events are sent on
+     *    "{prefix}{name}.k.{partition}.p" and reach a single node, see opt.partitions
      * */
-    publish(action, payload = {}) {
-      if (!this.#client) return false;
+    publish(action, payload = {}, opt = {}) {
       let aType = typeof action;
       if (aType !== 'string' && aType !== 'number') throw thorin.error('DATA.INVALID', 'Request action must be a string or number');
+      let hasKey = (typeof opt.partitionKey !== 'undefined' && opt.partitionKey !== null),
+        partitionSubject = (hasKey ? this.#getPartitionSubject(opt.partitionKey, CHANNEL.PUBLISH) : null);
+      if (this.#shouldBuffer()) return this.#enqueue('publish', action, payload, opt);
+      if (!this.#client) return false;
       try {
-        let channel = this.getName(CHANNEL.PUBLISH);
+        let channel = this.getName(CHANNEL.PUBLISH),
+          aName = getActionName(action),
+          m = createMeta(opt.meta);
+        if (hasKey) {
+          channel = partitionSubject;
+          m[META.PARTITION] = String(opt.partitionKey);
+        } else if (this.#actionSubjects && pattern.isSubject(aName)) {
+          channel += `.${aName}`;
+        }
         let req = {
           p: action,
-          d: payload
+          d: payload,
+          m
         };
-        req = this.encode(req);
-        this.#client.publish(channel, req);
+        req = this.encode(this.#applyOutbound('publish', req));
+        chunker.publish(this.#client, channel, req);
+        metrics.inc('nats_publish_total', {
+          channel: this.name,
+          action: getActionName(action)
+        });
         return true;
       } catch (e) {
         logger.warn(`Could not publish [${action}]`, e);
@@ -458,13 +1492,142 @@ module.exports = (thorin, nOpt, logger) => {
       }
     }
 
+    /**
+     * Checks if outgoing messages should be buffered, because the channel has buffering enabled
+     * and the client is not yet attached or currently disconnected.
+     * */
+    #shouldBuffer = () => {
+      if (!this.#getBufferOptions()) return false;
+      if (!this.#client) return true;
+      return this.#client.connected === false;
+    }
+
+    /**
+     * Returns the buffering options of this channel, or null if buffering is disabled.
+     * */
+    #getBufferOptions = () => {
+      let bOpt = (typeof this.#options.buffer !== 'undefined' ? this.#options.buffer : nOpt.channel.buffer);
+      if (!bOpt) return null;
+      return Object.assign({}, DEFAULT_BUFFER, typeof bOpt === 'object' ? bOpt : {});
+    }
+
+    /**
+     * Places an outgoing dispatch/publish in the buffer.
+     * Buffered dispatches that wait for a reply return a promise that settles once the request
+     * is flushed and replied to. Everything else returns true if the message was buffered.
+     * */
+    #enqueue = (type, action, payload, opt) => {
+      let bOpt = this.#getBufferOptions(),
+        current = requestContext.getStore(),
+        wait = (type === 'dispatch' && opt.wait !== false),
+        item = {
+          type,
+          action,
+          payload,
+          opt: Object.assign({}, opt)
+        };
+      if (current && current.trace) {
+        // keep the trace id of the request we're currently handling, since we'll flush outside its context.
+        item.opt.meta = Object.assign({
+          trace: current.trace
+        }, opt.meta || {});
+      }
+      if (this.#buffer.length >= bOpt.size) {
+        if (bOpt.overflow === 'drop-newest') {
+          if (this.debug) logger.debug(`[BUF ${this.name}] buffer full, dropping ${action}`);
+          return wait ? Promise.reject(ERROR_BUFFER_FULL) : false;
+        }
+        let dropped = this.#buffer.shift();
+        if (this.debug) logger.debug(`[BUF ${this.name}] buffer full, dropping ${dropped.action}`);
+        clearTimeout(dropped.timer);
+        if (dropped.reject) dropped.reject(ERROR_BUFFER_FULL);
+      }
+      item.timer = setTimeout(() => {
+        let idx = this.#buffer.indexOf(item);
+        if (idx === -1) return;
+        this.#buffer.splice(idx, 1);
+        if (item.reject) item.reject(ERROR_BUFFER_EXPIRED);
+      }, bOpt.ttl);
+      this.#buffer.push(item);
+      if (!wait) return true;
+      return new Promise((resolve, reject) => {
+        item.resolve = resolve;
+        item.reject = reject;
+      });
+    }
+
+    /**
+     * Sends all the buffered messages, once the client is ready or reconnected.
+     * */
+    #flush = () => {
+      if (this.#buffer.length === 0 || this.#shouldBuffer() || !this.#client) return;
+      let items = this.#buffer;
+      this.#buffer = [];
+      if (this.debug) logger.debug(`[BUF ${this.name}] flushing ${items.length} buffered messages`);
+      for (let i = 0; i < items.length; i++) {
+        let item = items[i];
+        clearTimeout(item.timer);
+        try {
+          let res = (item.type === 'dispatch' ? this.dispatch(item.action, item.payload, item.opt) : this.publish(item.action, item.payload, item.opt));
+          if (!item.resolve) continue;
+          Promise.resolve(res).then(item.resolve, item.reject);
+        } catch (e) {
+          if (item.reject) item.reject(e);
+        }
+      }
+    }
+
+    /**
+     * Gracefully closes the channel: we stop receiving new requests and wait for
+     * the in-flight handlers to finish and reply, for at most the given timeout (in ms).
+     * Requests that still reach us after this point are rejected with NATS.CLOSING.
+     * Resolves with true if all the in-flight handlers finished in time.
+     * */
+    async close(timeout = 5000) {
+      this.stop();
+      let expireAt = Date.now() + timeout;
+      // let the messages already delivered by the client reach us.
+      await new Promise((resolve) => setImmediate(resolve));
+      while (this.#inflight.size > 0) {
+        let remaining = expireAt - Date.now();
+        if (remaining <= 0) break;
+        let timer;
+        await Promise.race([
+          Promise.all(Array.from(this.#inflight)),
+          new Promise((resolve) => {
+            timer = setTimeout(resolve, remaining);
+          })
+        ]);
+        clearTimeout(timer);
+      }
+      this.#closed = true;
+      let pending = this.#inflight.size;
+      if (pending > 0) {
+        logger.warn(`Channel.${this.name}: closed with ${pending} in-flight requests`);
+      }
+      return pending === 0;
+    }
+
     /**
      * Completely destroy the channel.
      * */
     destroy() {
       this.stop();
+      if (this.#client && typeof this.#client.removeListener === 'function') {
+        this.#client.removeListener('reconnect', this.#flush);
+      }
+      this.#buffer.forEach((item) => {
+        clearTimeout(item.timer);
+        if (item.reject) item.reject(ERROR_DESTROYED);
+      });
+      this.#buffer = [];
       this.#client = null;
       this.#actions = {};
+      this.#patterns = [];
+      this.#subscriptions = {};
+      this.#breakers = {};
+      if (this.#replies) this.#replies.clear();
+      this.#ordered = {};
       this.emit('destroy');
       this.removeAllListeners();
     }
@@ -472,6 +1635,207 @@ module.exports = (thorin, nOpt, logger) => {
   }
 
 
+  /**
+   * Registers a custom codec, that channels can use with opt.codec
+   * See lib/codec.js for the codec structure.
+   * */
+  NatsChannel.codec = (name, codec) => {
+    codecs.register(name, codec);
+  };
+
+  /**
+   * Returns the TypeScript declarations of the given contract. See lib/contract.js
+   * */
+  NatsChannel.toTypeScript = (def, tOpt) => contracts.toTypeScript(contracts.validate(def), tOpt);
+
+  /**
+   * Registers a plugin-wide middleware function, that will be applied to all channels.
+   * Plugin-wide middleware run before the channel-specific ones.
+   * */
+  NatsChannel.use = (type, fn) => {
+    if (typeof type === 'function') {
+      fn = type;
+      type = 'inbound';
+    }
+    addMiddleware(MIDDLEWARE, type, fn);
+  };
+
+  function addMiddleware(target, type, fn) {
+    if (!target[type]) throw thorin.error('DATA.INVALID', 'Middleware type must be inbound or outbound');
+    if (typeof fn !== 'function') throw thorin.error('DATA.INVALID', 'Middleware fn must be a function');
+    target[type].push(fn);
+  }
+
+  /**
+   * Runs the given middleware stack, koa-style. Each middleware receives (req, next),
+   * and the last function in the chain is the actual action handler.
+   * */
+  function runMiddleware(stack, req, handler) {
+    let idx = -1;
+    const next = async (i) => {
+      if (i <= idx) throw thorin.error('NATS.MIDDLEWARE', 'next() called multiple times', 500);
+      idx = i;
+      if (i === stack.length) return handler();
+      return stack[i](req, () => next(i + 1));
+    };
+    return next(0);
+  }
+
+  /**
+   * Validates the input, calls the actual handler function and validates its output.
+   * The handler receives the payload and the request context, containing the matched action name and metadata.
+   * */
+  async function runHandler(handler, req) {
+    let payload = req.payload;
+    if (handler.input) {
+      payload = await schema.validate(handler.input, payload, ERROR_REQUEST.code, ERROR_REQUEST.message, 400);
+    }
+    let result = await handler.fn(payload, req);
+    if (handler.output) {
+      result = await schema.validate(handler.output, result, ERROR_RESPONSE.code, 'The handler result is not valid', 500);
+    }
+    return result;
+  }
+
+  /**
+   * Creates the "m" metadata object of an outgoing request.
+   *  - meta.trace - the trace id. If we're inside a handler, we forward its trace id, otherwise we generate one.
+   *  - meta.deadline - a timestamp (in ms) after which the result is no longer needed.
+   *    It is sent as the remaining time, and the receiver converts it back to a timestamp of its own clock.
+   *  - meta.locale - the locale of the caller.
+   *  - meta.headers - an object with custom headers.
+   * The caller is always set to thorin.id
+   * */
+  function createMeta(meta) {
+    if (typeof meta !== 'object' || !meta) meta = {};
+    let current = requestContext.getStore(),
+      m = {};
+    if (typeof meta.trace === 'string' && meta.trace) {
+      m[META.TRACE] = meta.trace;
+    } else if (current && current.trace) {
+      m[META.TRACE] = current.trace;
+    } else {
+      m[META.TRACE] = createTraceId();
+    }
+    m[META.CALLER] = thorin.id;
+    if (typeof meta.deadline === 'number') m[META.DEADLINE] = Math.max(0, meta.deadline - Date.now());
+    if (typeof meta.locale === 'string' && meta.locale) m[META.LOCALE] = meta.locale;
+    if (typeof meta.headers === 'object' && meta.headers) m[META.HEADERS] = meta.headers;
+    return m;
+  }
+
+  /**
+   * Parses the "m" metadata object of an incoming request into its context fields.
+   * This is called when the request arrives, so that the deadline is a timestamp of our own clock.
+   * */
+  function parseMeta(m) {
+    if (typeof m !== 'object' || !m) m = {};
+    return {
+      trace: (typeof m[META.TRACE] === 'string' ? m[META.TRACE] : null),
+      caller: (typeof m[META.CALLER] === 'string' ? m[META.CALLER] : null),
+      deadline: (typeof m[META.DEADLINE] === 'number' ? Date.now() + m[META.DEADLINE] : null),
+      locale: (typeof m[META.LOCALE] === 'string' ? m[META.LOCALE] : null),
+      headers: (typeof m[META.HEADERS] === 'object' && m[META.HEADERS] ? m[META.HEADERS] : {}),
+      idempotencyKey: (typeof m[META.IDEMPOTENCY] === 'string' ? m[META.IDEMPOTENCY] : null),
+      partitionKey: (typeof m[META.PARTITION] === 'string' ? m[META.PARTITION] : null)
+    };
+  }
+
+  /**
+   * Returns the context of the incoming request we are currently handling, or null.
+   * */
+  NatsChannel.context = () => requestContext.getStore() || null;
+
+  /**
+   * Converts any thrown value into a thorin error.
+   * Native errors are wrapped, so that their message does not leak to the caller.
+   * Error-shaped objects, eg: throw {code: 'MY.CODE', message, status: 409, data}, keep their code, message, status and data.
+   * */
+  function toError(e) {
+    if (e instanceof thorin.Error) return e;
+    if (e instanceof Error) return thorin.error(e);
+    if (typeof e === 'object' && e && typeof e.code === 'string' && e.code) {
+      let status = (typeof e.status === 'number' ? e.status : (typeof e.statusCode === 'number' ? e.statusCode : 500));
+      return thorin.error(e.code, (typeof e.message === 'string' && e.message ? e.message : 'An error occurred.'), status, e.data);
+    }
+    return thorin.error('GENERIC_ERROR', (typeof e === 'string' && e ? e : 'An error occurred.'), 500);
+  }
+
+  /**
+   * Serializes an error so that it can be sent in a reply. The result contains:
+   *  - code, ns, message, status, data, fields - just like thorin's error.toJSON()
+   *  - name - the name of the original error, for wrapped native errors (eg: TypeError)
+   *  - origin - the {service, node} that produced the error.
+   *  - stack - the original stack trace, only when withStack is set (the channel is in debug mode)
+   * We do not rely on toJSON(), since codecs other than JSON do not call it.
+   * */
+  function serializeError(e, withStack) {
+    let err = toError(e),
+      res = err.toJSON(),
+      source = err.source || e;
+    if (source instanceof Error && !(source instanceof thorin.Error)) res.name = source.name;
+    res.origin = {
+      service: thorin.app,
+      node: thorin.id
+    };
+    if (withStack) {
+      let stack = (source instanceof Error ? source.stack : err.stack);
+      if (typeof stack === 'string') res.stack = stack;
+    }
+    return res;
+  }
+
+  /**
+   * Rebuilds a thorin error out of a serialized remote error.
+   * Remote errors have error.remote set to true, along with the error.origin {service, node},
+   * so that callers can tell them apart from local errors (eg: timeouts)
+   * The remote stack trace, if any, is placed in error.remoteStack
+   * */
+  function parseError(e, node) {
+    let status = (typeof e.status === 'number' ? e.status : 500),
+      err = thorin.error(e.code || 'GENERIC_ERROR', e.message || 'An error occurred.', status, e.data);
+    if (typeof e.ns === 'string') err.ns = e.ns;
+    if (e.fields) err.fields = e.fields;
+    if (typeof e.name === 'string') err.remoteName = e.name;
+    let origin = (typeof e.origin === 'object' && e.origin) || {};
+    err.remote = true;
+    err.origin = {
+      service: (typeof origin.service === 'string' ? origin.service : null),
+      node: (typeof origin.node === 'string' ? origin.node : node)
+    };
+    if (typeof e.stack === 'string') err.remoteStack = e.stack;
+    return err;
+  }
+
+  /**
+   * Waits for the given time (in ms), rejecting with NATS.CANCELLED if the signal is aborted meanwhile.
+   * */
+  function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      let timer = setTimeout(() => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+
+      function onAbort() {
+        clearTimeout(timer);
+        reject(ERROR_CANCELLED);
+      }
+
+      if (signal) signal.addEventListener('abort', onAbort, {
+        once: true
+      });
+    });
+  }
+
+  /**
+   * Checks if the given reply can be cached for its idempotency key.
+   * */
+  function canCacheReply(reply) {
+    if (!reply.e) return true;
+    return TRANSIENT_CODES.indexOf(reply.e.code) === -1;
+  }
+
   function handleDispatchError(e, action, done) {
     if (done) {
       done(e);
@@ -484,6 +1848,32 @@ module.exports = (thorin, nOpt, logger) => {
 };
 
 
+/**
+ * Returns the exponential backoff delay (in ms) for the given attempt number.
+ * */
+function getBackoff(policy, attempt) {
+  let wait = Math.min(policy.delay * Math.pow(policy.factor, attempt - 1), policy.maxDelay);
+  if (policy.jitter) wait = Math.random() * wait;
+  return Math.round(wait);
+}
+
+/**
+ * Returns the timestamp at which an incoming request expires, as the earliest between
+ * the caller's deadline and our own max execution time. Returns null if neither is set.
+ * */
+function getExpireAt(deadline, maxTime) {
+  let expireAt = (typeof deadline === 'number' ? deadline : null);
+  if (typeof maxTime === 'number' && maxTime > 0) {
+    let max = Date.now() + maxTime;
+    if (!expireAt || max < expireAt) expireAt = max;
+  }
+  return expireAt;
+}
+
+function createTraceId() {
+  return crypto.randomBytes(12).toString('hex');
+}
+
 function getActionName(n) {
   if (typeof n === 'string') return n;
   return n.toString();
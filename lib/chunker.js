@@ -0,0 +1,187 @@
+'use strict';
+const crypto = require('crypto'),
+  { parseText } = require('./membership');
+/**
+ * This is the transparent chunking layer, used for messages larger than the server's max_payload.
+ * When a message does not fit, we publish a small transfer announcement in its place:
+ *    {"k": {"i": transferId, "n": chunkCount, "b": totalBytes, "t": "s"|"b", "x": transferInbox}}
+ * The sender then serves the sequenced chunks on the per-transfer inbox, and every receiver
+ * pulls them with request/reply, reassembles the original message and processes it as usual.
+ * Since announcements are regular messages, they work with request(), queue groups and reply inboxes.
+ * */
+const ANNOUNCEMENT_PREFIX = '{"k":{',
+  MAX_ANNOUNCEMENT_SIZE = 512;
+
+module.exports = (thorin, nOpt, logger) => {
+
+  const ERROR_TOO_LARGE = thorin.error('NATS.TOO_LARGE', 'The transferred message exceeds the maximum allowed size', 413),
+    ERROR_TRANSFER = thorin.error('NATS.TRANSFER', 'Could not receive the chunked message', 502);
+
+  const chunker = {};
+
+  /**
+   * Returns the max payload size (in bytes) of the given connection.
+   * */
+  chunker.getLimit = (client) => {
+    let cOpt = nOpt.chunk || {};
+    if (typeof cOpt.maxPayload === 'number' && cOpt.maxPayload > 0) return cOpt.maxPayload;
+    if (client && client.info && typeof client.info.max_payload === 'number') return client.info.max_payload;
+    return 1024 * 1024;
+  };
+
+  /**
+   * Checks if the given wire message exceeds the connection's max payload.
+   * */
+  chunker.exceeds = (client, raw) => {
+    let limit = chunker.getLimit(client);
+    if (Buffer.isBuffer(raw)) return raw.length > limit;
+    if (typeof raw !== 'string') return false;
+    if (raw.length * 6 < limit) return false; // even with full JSON escaping, we're way below the limit.
+    return getWireSize(client, raw) > limit;
+  };
+
+  /**
+   * Prepares the given wire message to be sent. If it fits in the max payload, it is returned as is.
+   * Otherwise, we start serving its chunks on a transfer inbox, and return the announcement to send in its place.
+   * When the message has a single receiver (reply inboxes and max:1 requests), we stop serving it
+   * once its last chunk was pulled, instead of keeping it in memory until the transfer timeout.
+   * */
+  chunker.prepare = (client, raw, single = false) => {
+    if (!chunker.exceeds(client, raw)) return raw;
+    let limit = chunker.getLimit(client),
+      isText = (typeof raw === 'string'),
+      data = (isText ? Buffer.from(raw, 'utf8') : raw),
+      chunkSize = Math.floor((limit - 128) / 4) * 3,  // base64 encoded chunks, with room for the chunk envelope.
+      count = Math.ceil(data.length / chunkSize),
+      transferId = crypto.randomBytes(8).toString('hex'),
+      inbox = client.createInbox(),
+      timeout = getTransferTimeout();
+    if (chunkSize <= 0) throw thorin.error('NATS.TRANSFER', 'The max payload is too small for chunking', 500);
+    let timer,
+      sid = client.subscribe(inbox, (msg, reply) => {
+        let req = parseText(msg);
+        if (!req || typeof req.s !== 'number' || !reply) return;
+        let seq = req.s;
+        if (seq < 0 || seq >= count) return;
+        let chunk = data.slice(seq * chunkSize, (seq + 1) * chunkSize);
+        client.publish(reply, JSON.stringify({
+          i: transferId,
+          s: seq,
+          c: chunk.toString('base64')
+        }));
+        if (single && seq === count - 1) release();
+      });
+
+    function release() {
+      clearTimeout(timer);
+      if (sid === null) return;
+      client.unsubscribe(sid);
+      sid = null;
+    }
+
+    timer = setTimeout(release, timeout);
+    if (typeof timer.unref === 'function') timer.unref();
+    if (nOpt.debug) logger.trace(`[CHUNK] serving ${count} chunks of transfer ${transferId} (${data.length} bytes)`);
+    return JSON.stringify({
+      k: {
+        i: transferId,
+        n: count,
+        b: data.length,
+        t: isText ? 's' : 'b',
+        x: inbox
+      }
+    });
+  };
+
+  /**
+   * Returns the transfer announcement of the given message, or null if it is a regular message.
+   * */
+  chunker.parse = (msg) => {
+    if (Buffer.isBuffer(msg)) {
+      if (msg.length > MAX_ANNOUNCEMENT_SIZE || msg.slice(0, ANNOUNCEMENT_PREFIX.length).toString() !== ANNOUNCEMENT_PREFIX) return null;
+      msg = msg.toString();
+    }
+    if (typeof msg !== 'string' || msg.indexOf(ANNOUNCEMENT_PREFIX) !== 0) return null;
+    try {
+      let d = JSON.parse(msg);
+      if (typeof d.k !== 'object' || !d.k) return null;
+      let k = d.k;
+      if (typeof k.i !== 'string' || typeof k.n !== 'number' || typeof k.b !== 'number' || typeof k.x !== 'string') return null;
+      return k;
+    } catch (e) {
+      return null;
+    }
+  };
+
+  /**
+   * Pulls all the chunks of the given transfer, resolving with the reassembled wire message.
+   * */
+  chunker.receive = async (client, k) => {
+    let cOpt = nOpt.chunk || {},
+      maxSize = (typeof cOpt.maxSize === 'number' ? cOpt.maxSize : 16 * 1024 * 1024);
+    if (k.b > maxSize) throw ERROR_TOO_LARGE;
+    let expireAt = Date.now() + getTransferTimeout(),
+      chunks = [],
+      size = 0;
+    for (let seq = 0; seq < k.n; seq++) {
+      let remaining = expireAt - Date.now();
+      if (remaining <= 0) throw ERROR_TRANSFER;
+      let res = await pullChunk(client, k.x, seq, remaining);
+      if (!res || res.i !== k.i || res.s !== seq || typeof res.c !== 'string') throw ERROR_TRANSFER;
+      let chunk = Buffer.from(res.c, 'base64');
+      size += chunk.length;
+      if (size > k.b) throw ERROR_TRANSFER;
+      chunks.push(chunk);
+    }
+    if (size !== k.b) throw ERROR_TRANSFER;
+    let data = Buffer.concat(chunks);
+    return (k.t === 's' ? data.toString('utf8') : data);
+  };
+
+  /**
+   * Publishes the given wire message, chunking it if required.
+   * */
+  chunker.publish = (client, subject, raw, reply) => {
+    raw = chunker.prepare(client, raw);
+    if (reply) {
+      client.publish(subject, raw, reply);
+    } else {
+      client.publish(subject, raw);
+    }
+  };
+
+  function pullChunk(client, inbox, seq, timeout) {
+    return new Promise((resolve) => {
+      client.request(inbox, JSON.stringify({
+        s: seq
+      }), {
+        max: 1,
+        timeout: Math.min(timeout, getChunkTimeout())
+      }, (msg) => {
+        if (msg instanceof Error) return resolve(null);
+        resolve(parseText(msg));
+      });
+    });
+  }
+
+  function getTransferTimeout() {
+    let cOpt = nOpt.chunk || {};
+    return (typeof cOpt.timeout === 'number' ? cOpt.timeout : 30000);
+  }
+
+  function getChunkTimeout() {
+    let cOpt = nOpt.chunk || {};
+    return (typeof cOpt.chunkTimeout === 'number' ? cOpt.chunkTimeout : 5000);
+  }
+
+  return chunker;
+};
+
+/**
+ * Returns the number of bytes the given string takes on the wire.
+ * In json mode, the nats.io client JSON encodes it once more.
+ * */
+function getWireSize(client, raw) {
+  let json = !!(client && client.options && client.options.json);
+  return Buffer.byteLength(json ? JSON.stringify(raw) : raw);
+}
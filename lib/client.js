@@ -1,6 +1,7 @@
 'use strict';
 const nats = require('nats'),
-  EventEmitter = require('events').EventEmitter;
+  EventEmitter = require('events').EventEmitter,
+  MemoryConnection = require('./memory');
 /**
  * This is a client interface of the Nats plugin
  * */
@@ -8,33 +9,49 @@ module.exports = (thorin, opt, logger) => {
 
   class NatsClient extends EventEmitter {
 
-
     /**
      * Connect to the Nats server in the options.
+     * When config.transport is set to "memory", we use the in-memory loopback transport.
+     * Once connected, we emit the connection's lifecycle events:
+     *  - connect(nc) - once the connection was established.
+     *  - disconnect(nc) - when we lost the connection to the server.
+     *  - reconnect(nc) - when we reconnected to a (possibly different) server.
+     *  - error(e, nc) - when the connection encountered an error. Only emitted if someone is listening.
+     *  - close(nc) - when the connection was closed and will not reconnect.
      * */
     connect(config) {
       return new Promise((resolve, reject) => {
-        let nc = nats.connect(config);
+        let nc = (config.transport === 'memory' ? new MemoryConnection(config) : nats.connect(config)),
+          isReady = false;
         nc.connected = false;
         nc.once('connect', () => {
           if (opt.debug) logger.trace(`Connected to NATS server`);
           nc.connected = true;
+          isReady = true;
           resolve(nc);
+          this.emit('connect', nc);
           nc.on('disconnect', () => {
             nc.connected = false;
             logger.warn(`NATS Client disconnected from server`);
+            this.emit('disconnect', nc);
           });
           nc.on('reconnect', () => {
             nc.connected = true;
             if (opt.debug) logger.trace(`Reconnecting to NATS server`);
+            this.emit('reconnect', nc);
+          });
+          nc.once('close', () => {
+            nc.connected = false;
+            this.emit('close', nc);
           });
         });
-        nc.once('error', (e) => {
-          if (nc.connected) {
+        nc.on('error', (e) => {
+          if (isReady) {
             if (opt.required) {
               logger.warn(`NATS Client encountered an error`);
               logger.debug(e);
             }
+            if (this.listenerCount('error') > 0) this.emit('error', e, nc);
           } else {
             if (opt.required) {
               logger.warn(`Could not connect to NATS server`);
@@ -0,0 +1,197 @@
+'use strict';
+const zlib = require('zlib'),
+  msgpack = require('@msgpack/msgpack');
+/**
+ * This is the codec registry used by channels to encode/decode their envelopes.
+ * An encoded message is a binary frame, with a 3 byte header:
+ *  - byte 0 - always 0x00, so that frames are never mistaken for JSON text
+ *  - byte 1 - the codec id (1 = json, 2 = msgpack, custom codecs use ids >= 16)
+ *  - byte 2 - the compression id (0 = none, 1 = gzip, 2 = deflate)
+ * Receivers detect the codec and compression from the header, so both sides
+ * do not have to agree on them. Messages without a header are treated as legacy JSON.
+ * Since the nats.io client can only deliver raw binary data when preserveBuffers is set,
+ * we otherwise send frames as text, prefixed with "\u0000" and base64 encoded.
+ * */
+const FRAME_MARKER = 0x00,
+  TEXT_MARKER = '\u0000',
+  HEADER_SIZE = 3;
+
+const COMPRESSION = {
+  none: 0,
+  gzip: 1,
+  deflate: 2
+};
+
+module.exports = (thorin) => {
+
+  const codecs = {},  // map of {name: codec}
+    codecIds = {};  // map of {id: codec}
+
+  const registry = {};
+
+  /**
+   * Registers a new codec.
+   *  - name - the codec name, used in the channel's opt.codec
+   *  - codec.id - a unique numeric id between 16 and 255, placed in the frame header.
+   *  - codec.encode(obj) - returns a Buffer
+   *  - codec.decode(buffer) - returns the decoded object.
+   * */
+  registry.register = (name, codec, _builtin) => {
+    if (typeof name !== 'string' || !name) throw thorin.error('DATA.INVALID', 'Codec name must be a string');
+    if (typeof codec !== 'object' || !codec) throw thorin.error('DATA.INVALID', 'Codec must be an object');
+    if (typeof codec.encode !== 'function' || typeof codec.decode !== 'function') throw thorin.error('DATA.INVALID', 'Codec requires encode() and decode() functions');
+    let id = codec.id;
+    if (typeof id !== 'number' || id > 255 || (!_builtin && id < 16)) throw thorin.error('DATA.INVALID', 'Codec id must be a number between 16 and 255');
+    if (codecIds[id] || codecs[name]) throw thorin.error('DATA.INVALID', `Codec ${name} is already registered`);
+    let item = {
+      name,
+      id,
+      encode: codec.encode,
+      decode: codec.decode
+    };
+    codecs[name] = item;
+    codecIds[id] = item;
+    return registry;
+  };
+
+  registry.has = (name) => !!codecs[name];
+
+  /**
+   * Encodes the given object into a frame.
+   *  - cOpt.codec - the codec name.
+   *  - cOpt.compress - the compression to use: gzip or deflate
+   *  - cOpt.threshold - we only compress bodies larger than this many bytes.
+   * */
+  registry.encode = (obj, cOpt) => {
+    let codec = codecs[cOpt.codec];
+    if (!codec) throw thorin.error('NATS.CODEC', `Codec ${cOpt.codec} is not registered`, 500);
+    let body = codec.encode(obj),
+      compression = COMPRESSION.none;
+    if (!Buffer.isBuffer(body)) body = Buffer.from(body);
+    if (cOpt.compress && COMPRESSION[cOpt.compress] && body.length > (cOpt.threshold || 0)) {
+      compression = COMPRESSION[cOpt.compress];
+      body = (compression === COMPRESSION.gzip ? zlib.gzipSync(body) : zlib.deflateSync(body));
+    }
+    let header = Buffer.from([FRAME_MARKER, codec.id, compression]);
+    return Buffer.concat([header, body]);
+  };
+
+  /**
+   * Decodes the given frame back into an object.
+   * */
+  registry.decode = (frame) => {
+    let codec = codecIds[frame[1]];
+    if (!codec) throw thorin.error('NATS.CODEC', `Codec id ${frame[1]} is not registered`, 400);
+    let body = frame.slice(HEADER_SIZE);
+    switch (frame[2]) {
+      case COMPRESSION.none:
+        break;
+      case COMPRESSION.gzip:
+        body = zlib.gunzipSync(body);
+        break;
+      case COMPRESSION.deflate:
+        body = zlib.inflateSync(body);
+        break;
+      default:
+        throw thorin.error('NATS.CODEC', `Compression id ${frame[2]} is not supported`, 400);
+    }
+    return codec.decode(body);
+  };
+
+  /**
+   * Converts a frame to what we can send through the given connection.
+   * */
+  registry.toWire = (frame, conn) => {
+    let cOpt = (conn && conn.options) || {};
+    if (cOpt.preserveBuffers && !cOpt.json) return frame;
+    return TEXT_MARKER + frame.toString('base64');
+  };
+
+  /**
+   * Extracts the frame from an incoming message, or returns null if the message is not a frame.
+   * */
+  registry.fromWire = (msg) => {
+    if (Buffer.isBuffer(msg)) {
+      if (msg.length >= HEADER_SIZE && msg[0] === FRAME_MARKER) return msg;
+      return null;
+    }
+    if (typeof msg === 'string' && msg.charAt(0) === TEXT_MARKER) {
+      return Buffer.from(msg.substr(1), 'base64');
+    }
+    return null;
+  };
+
+  /**
+   * Returns the {codec, compress} names used by the given incoming message,
+   * or null if the message is not a frame.
+   * */
+  registry.describe = (msg) => {
+    let frame = registry.fromWire(msg);
+    if (!frame) return null;
+    let codec = codecIds[frame[1]];
+    if (!codec) return null;
+    let compress = Object.keys(COMPRESSION).find((k) => COMPRESSION[k] === frame[2]);
+    return {
+      codec: codec.name,
+      compress: (compress === 'none' ? null : compress)
+    };
+  };
+
+  /* The default JSON codec, that also keeps Buffers intact */
+  registry.register('json', {
+    id: 1,
+    encode: (obj) => Buffer.from(JSON.stringify(obj, bufferReplacer)),
+    decode: (buf) => JSON.parse(buf.toString(), bufferReviver)
+  }, true);
+
+  /* The MessagePack codec. Binary values are decoded back into Buffers */
+  registry.register('msgpack', {
+    id: 2,
+    encode: (obj) => {
+      let r = msgpack.encode(obj, {
+        ignoreUndefined: true
+      });
+      return Buffer.from(r.buffer, r.byteOffset, r.byteLength);
+    },
+    decode: (buf) => toBuffers(msgpack.decode(buf))
+  }, true);
+
+  return registry;
+};
+
+/**
+ * Buffer.toJSON() is called before the replacer, so we receive {type:'Buffer',data:[]}
+ * */
+function bufferReplacer(key, value) {
+  if (typeof value === 'object' && value && value.type === 'Buffer' && value.data instanceof Array) {
+    return {
+      $buffer: Buffer.from(value.data).toString('base64')
+    };
+  }
+  return value;
+}
+
+function bufferReviver(key, value) {
+  if (typeof value === 'object' && value && typeof value.$buffer === 'string' && Object.keys(value).length === 1) {
+    return Buffer.from(value.$buffer, 'base64');
+  }
+  return value;
+}
+
+function toBuffers(value) {
+  if (value instanceof Uint8Array) {
+    return Buffer.from(value.buffer, value.byteOffset, value.byteLength);
+  }
+  if (value instanceof Array) {
+    for (let i = 0; i < value.length; i++) {
+      value[i] = toBuffers(value[i]);
+    }
+    return value;
+  }
+  if (typeof value === 'object' && value) {
+    Object.keys(value).forEach((k) => {
+      value[k] = toBuffers(value[k]);
+    });
+  }
+  return value;
+}
@@ -0,0 +1,226 @@
+'use strict';
+const initSchema = require('./schema'),
+  pattern = require('./pattern');
+/**
+ * Service contracts, declaring the actions of a channel once, for both sides.
+ * A contract is an object of {actionName: definition}, where definition contains:
+ *  - description - optional description of the action.
+ *  - input - optional input schema, see lib/schema.js
+ *  - output - optional output schema.
+ * Example:
+ *    const contract = {
+ *      'api.user.read': {
+ *        description: 'Returns a user by its id',
+ *        input: { id: 'NUMBER' },
+ *        output: { id: 'NUMBER', name: 'STRING' }
+ *      }
+ *    };
+ *    // the calling side
+ *    const users = natsObj.channel('users').proxy(contract);
+ *    let user = await users.api.user.read({id: 1});
+ *    // the handling side
+ *    channel.contract(contract).handle('api.user.read', fn);
+ *    channel.verify();   // throws if some contract actions are not handled.
+ * */
+const TS_TYPES = {
+  STRING: 'string',
+  EMAIL: 'string',
+  ALPHA: 'string',
+  ALPHA_NUMERIC: 'string',
+  URL: 'string',
+  IP: 'string',
+  HEX: 'string',
+  UUID: 'string',
+  ENUM: 'string',
+  DATE: 'string',
+  NUMBER: 'number',
+  INTEGER: 'number',
+  FLOAT: 'number',
+  BOOL: 'boolean',
+  BOOLEAN: 'boolean',
+  ARRAY: 'any[]',
+  OBJECT: '{ [key: string]: any }',
+  JSON: '{ [key: string]: any }'
+};
+
+module.exports = (thorin) => {
+
+  const schema = initSchema(thorin);
+
+  const contracts = {};
+
+  /**
+   * Validates the given contract, returning it.
+   * Action names must be valid, non-wildcard action names, with valid input/output schemas.
+   * */
+  contracts.validate = (def) => {
+    if (typeof def !== 'object' || !def) throw thorin.error('DATA.INVALID', 'Contract must be an object');
+    Object.keys(def).forEach((action) => {
+      let item = def[action];
+      if (!pattern.isSubject(action)) throw thorin.error('DATA.INVALID', `Contract action ${action} is not a valid action name`);
+      if (typeof item !== 'object' || !item) throw thorin.error('DATA.INVALID', `Contract action ${action} must be an object`);
+      if (item.input && !schema.isValid(item.input)) throw thorin.error('DATA.INVALID', `Contract input schema is not valid for ${action}`);
+      if (item.output && !schema.isValid(item.output)) throw thorin.error('DATA.INVALID', `Contract output schema is not valid for ${action}`);
+    });
+    return def;
+  };
+
+  /**
+   * Creates the proxy object of the contract, where every action becomes a function
+   * placed at its dotted path, eg: proxy.api.user.read(payload, opt)
+   * Calling it invokes fn(action, payload, opt)
+   * */
+  contracts.proxy = (def, fn) => {
+    let tree = getTree(def);
+    return materialize(tree, fn);
+  };
+
+  /**
+   * Returns the contract actions that do not pass the given hasHandler(action) check.
+   * */
+  contracts.missing = (def, hasHandler) => Object.keys(def).filter((action) => !hasHandler(action));
+
+  /**
+   * Generates the TypeScript declarations of the given contract, containing:
+   *  - an {Action}Input and {Action}Output type for every action
+   *  - the {name} interface of the proxy object, as returned by channel.proxy()
+   * @Arguments
+   *  - tOpt.name [=ServiceProxy] - the name of the proxy interface.
+   * Throws DATA.INVALID if two actions generate the same type name, eg: "api.user-x" and "api.userX"
+   * */
+  contracts.toTypeScript = (def, tOpt = {}) => {
+    let name = (typeof tOpt.name === 'string' && tOpt.name ? tOpt.name : 'ServiceProxy'),
+      lines = [
+        '// This file was generated from the NATS channel contract. Do not edit it manually.',
+        '',
+        'export interface DispatchOptions {',
+        '  timeout?: number;',
+        '  wait?: boolean;',
+        '  meta?: { [key: string]: any };',
+        '  retry?: false | { [key: string]: any };',
+        '  idempotencyKey?: string;',
+        '  partitionKey?: string | number;',
+        '  signal?: AbortSignal;',
+        '}',
+        ''
+      ],
+      typeNames = {}; // map of {typeName: action}
+    Object.keys(def).forEach((action) => {
+      let item = def[action],
+        typeName = getTypeName(action);
+      if (typeNames[typeName]) {
+        throw thorin.error('DATA.INVALID', `Contract actions ${typeNames[typeName]} and ${action} both generate the ${typeName} type`);
+      }
+      typeNames[typeName] = action;
+      lines.push(`export ${getSchemaType(`${typeName}Input`, item.input)}`);
+      lines.push(`export ${getSchemaType(`${typeName}Output`, item.output)}`);
+      lines.push('');
+    });
+    lines.push(`export interface ${name} ${getProxyType(getTree(def), def, '')}`);
+    lines.push('');
+    return lines.join('\n');
+  };
+
+  /**
+   * Returns the TypeScript declaration of the given schema.
+   * */
+  function getSchemaType(typeName, fields) {
+    let desc = schema.describe(fields);
+    if (!desc) return `type ${typeName} = any;`;
+    let props = Object.keys(desc).map((key) => {
+      let field = desc[key],
+        type = TS_TYPES[(field.type || '').toUpperCase()] || 'any';
+      return `  ${getPropName(key)}${field.required ? '' : '?'}: ${type};`;
+    });
+    return [`interface ${typeName} {`].concat(props).concat(['}']).join('\n');
+  }
+
+  /**
+   * Returns the TypeScript type of a proxy tree node.
+   * */
+  function getProxyType(node, def, indent) {
+    let lines = ['{'],
+      inner = indent + '  ';
+    if (node.action) {
+      lines.push(...getCallLines(node.action, def, inner, ''));
+    }
+    Object.keys(node.children).forEach((key) => {
+      let child = node.children[key],
+        prop = getPropName(key);
+      if (child.action && Object.keys(child.children).length === 0) {
+        lines.push(...getCallLines(child.action, def, inner, prop));
+        return;
+      }
+      lines.push(`${inner}${prop}: ${getProxyType(child, def, inner)};`);
+    });
+    lines.push(`${indent}}`);
+    return lines.join('\n');
+  }
+
+  function getCallLines(action, def, indent, prop) {
+    let item = def[action],
+      typeName = getTypeName(action),
+      lines = [];
+    if (typeof item.description === 'string' && item.description) {
+      lines.push(`${indent}/** ${item.description.replace(/\*\//g, '* /')} */`);
+    }
+    let optional = (schema.describe(item.input) ? '' : '?');
+    lines.push(`${indent}${prop}(payload${optional}: ${typeName}Input, opt?: DispatchOptions): Promise<${typeName}Output>;`);
+    return lines;
+  }
+
+  return contracts;
+};
+
+/**
+ * Builds the tree of {action, children} out of the dotted action names.
+ * */
+function getTree(def) {
+  let root = {
+    action: null,
+    children: {}
+  };
+  Object.keys(def).forEach((action) => {
+    let node = root;
+    action.split('.').forEach((token) => {
+      if (!node.children[token]) {
+        node.children[token] = {
+          action: null,
+          children: {}
+        };
+      }
+      node = node.children[token];
+    });
+    node.action = action;
+  });
+  return root;
+}
+
+/**
+ * Converts a tree node into the proxy object. Nodes that are both an action
+ * and a namespace become functions, with their children attached as properties.
+ * */
+function materialize(node, fn) {
+  let target = {};
+  if (node.action) {
+    let action = node.action;
+    target = (payload, opt) => fn(action, payload, opt);
+  }
+  Object.keys(node.children).forEach((key) => {
+    // functions already have a non-writable name and length.
+    Object.defineProperty(target, key, {
+      value: materialize(node.children[key], fn),
+      enumerable: true
+    });
+  });
+  return target;
+}
+
+function getTypeName(action) {
+  return action.split(/[^a-zA-Z0-9]+/).filter((t) => !!t).map((t) => t.charAt(0).toUpperCase() + t.substr(1)).join('') || 'Action';
+}
+
+function getPropName(key) {
+  if (/^[a-zA-Z_$][a-zA-Z0-9_$]*$/.test(key)) return key;
+  return JSON.stringify(key);
+}
@@ -0,0 +1,164 @@
+'use strict';
+const { EventEmitter } = require('events'),
+  initMembership = require('./membership');
+/**
+ * Leader election over plain NATS subjects, for jobs that must run on a single node.
+ * Candidates of an election join the member group of "{prefix}_election.{name}" (see membership.js).
+ * The leader is the oldest live candidate (the lowest "since", then the lowest id), so that
+ * new nodes never take over an existing leader. When the leader stops sending heartbeats
+ * for opt.timeout ms, the next oldest candidate takes over.
+ * Events:
+ *  - elected - we became the leader.
+ *  - revoked - we are no longer the leader.
+ *  - leader (memberId) - the leader changed, memberId is null while there's no leader.
+ * */
+module.exports = (thorin, nOpt, logger) => {
+
+  const Membership = initMembership(thorin, nOpt, logger);
+
+  class NatsElection extends EventEmitter {
+
+    #client = null;
+    #membership = null;
+    #warmup = null;
+    #ready = false; // true once we had the time to hear from the existing candidates.
+    #leader = null;
+    #stopped = false;
+
+    /**
+     * @Arguments
+     *  - name - the election name.
+     *  - eOpt.heartbeat [=1000] - the heartbeat interval (in ms)
+     *  - eOpt.timeout [=3000] - the time (in ms) after which a silent candidate is removed.
+     * */
+    constructor(name, eOpt = {}) {
+      super();
+      this.#membership = new Membership(`${nOpt.channel.prefix || ''}_election.${name}`, eOpt);
+      this.#membership.on('change', this.#evaluate);
+      this.name = name;
+      this.id = this.#membership.id;
+    }
+
+    /**
+     * Called internally to set the NATS.io connection client.
+     * */
+    set client(cObj) {
+      if (this.#client) return;
+      this.#client = cObj;
+      if (typeof cObj.on === 'function') {
+        cObj.on('disconnect', this.#onDisconnect);
+        cObj.on('reconnect', this.#onReconnect);
+      }
+      if (!this.#stopped) this.start();
+    }
+
+    get isLeader() {
+      return this.#leader === this.id;
+    }
+
+    /**
+     * Returns the member id of the current leader, or null.
+     * */
+    get leader() {
+      return this.#leader;
+    }
+
+    /**
+     * Returns the sorted list of known candidate ids, including ours.
+     * */
+    get members() {
+      return this.#membership.members;
+    }
+
+    /**
+     * Joins the election as a candidate. This is called automatically once the client is connected.
+     * */
+    start() {
+      this.#stopped = false;
+      if (!this.#client || this.#membership.active) return false;
+      this.#join();
+      return true;
+    }
+
+    /**
+     * Leaves the election. If we were the leader, "revoked" is emitted and another candidate takes over.
+     * */
+    stop() {
+      this.#stopped = true;
+      if (!this.#membership.active) return false;
+      clearTimeout(this.#warmup);
+      this.#ready = false;
+      this.#membership.leave();
+      this.#setLeader(null);
+      return true;
+    }
+
+    /**
+     * Steps down from leadership, by re-joining as the youngest candidate.
+     * */
+    resign() {
+      if (!this.isLeader) return false;
+      return this.#membership.renew();
+    }
+
+    /**
+     * Announces ourselves, and waits one heartbeat to hear from the existing candidates before electing anyone.
+     * */
+    #join = () => {
+      this.#ready = false;
+      this.#membership.join(this.#client);
+      clearTimeout(this.#warmup);
+      this.#warmup = setTimeout(() => {
+        this.#ready = true;
+        this.#evaluate();
+      }, this.#membership.heartbeat);
+    }
+
+    /**
+     * Elects the oldest candidate.
+     * */
+    #evaluate = () => {
+      if (!this.#ready) return;
+      let members = this.#membership.members,
+        leader = null,
+        best = null;
+      for (let i = 0; i < members.length; i++) {
+        let since = this.#membership.getSince(members[i]);
+        if (best === null || since < best) {
+          best = since;
+          leader = members[i];
+        }
+      }
+      this.#setLeader(leader);
+    }
+
+    #setLeader = (leader) => {
+      if (leader === this.#leader) return;
+      let wasLeader = this.isLeader;
+      this.#leader = leader;
+      if (nOpt.debug) logger.trace(`[ELECTION ${this.name}] leader is ${leader}`);
+      if (wasLeader && !this.isLeader) this.emit('revoked');
+      this.emit('leader', leader);
+      if (!wasLeader && this.isLeader) this.emit('elected');
+    }
+
+    /**
+     * Once we lose the connection, we can no longer tell if we're still the leader,
+     * while the other candidates will elect a new one once our heartbeats stop.
+     * */
+    #onDisconnect = () => {
+      if (!this.#membership.active) return;
+      clearTimeout(this.#warmup);
+      this.#ready = false;
+      this.#membership.reset();
+      this.#setLeader(null);
+    }
+
+    #onReconnect = () => {
+      if (!this.#membership.active) return;
+      this.#join();
+    }
+  }
+
+  return NatsElection;
+};
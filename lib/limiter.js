@@ -0,0 +1,58 @@
+'use strict';
+/**
+ * A simple concurrency limiter with a bounded waiting queue,
+ * used to apply backpressure on incoming requests.
+ *  - concurrency - the max number of functions running at the same time. 0 means unlimited.
+ *  - queueSize - the max number of functions waiting for a free slot.
+ * */
+class Limiter {
+
+  #concurrency = 0;
+  #queueSize = 0;
+  #queue = [];
+
+  constructor(concurrency, queueSize) {
+    this.#concurrency = (typeof concurrency === 'number' && concurrency > 0 ? concurrency : 0);
+    this.#queueSize = (typeof queueSize === 'number' && queueSize > 0 ? queueSize : 0);
+    this.active = 0;
+  }
+
+  get queued() {
+    return this.#queue.length;
+  }
+
+  /**
+   * Checks if a new function can be accepted, either by running it or by queueing it.
+   * */
+  canAccept() {
+    if (!this.#concurrency || this.active < this.#concurrency) return true;
+    return this.#queue.length < this.#queueSize;
+  }
+
+  /**
+   * Runs the given async function once a slot is free.
+   * Returns null if the limiter cannot accept it.
+   * */
+  run(fn) {
+    if (!this.canAccept()) return null;
+    if (!this.#concurrency || this.active < this.#concurrency) {
+      return this.#exec(fn);
+    }
+    return new Promise((resolve, reject) => {
+      this.#queue.push(() => this.#exec(fn).then(resolve, reject));
+    });
+  }
+
+  #exec = async (fn) => {
+    this.active++;
+    try {
+      return await fn();
+    } finally {
+      this.active--;
+      let next = this.#queue.shift();
+      if (next) next();
+    }
+  }
+}
+
+module.exports = Limiter;
@@ -0,0 +1,228 @@
+'use strict';
+const crypto = require('crypto'),
+  { parseText } = require('./membership');
+/**
+ * Distributed locks over plain NATS request/reply, for short critical sections.
+ * Every node subscribes to "{prefix}_lock.>" and answers the lock queries of the other nodes:
+ *    {"q": {"t": time, "i": claimId}}   - the query of a node trying to acquire the lock, sent with a reply inbox.
+ *    {"h": 1}                           - the reply of the node holding the lock.
+ *    {"c": {"t": time, "i": claimId}}   - the reply of a node trying to acquire the same lock at the same time.
+ *    {"r": claimId}                     - published when the lock is released, waiting nodes retry right away.
+ * A node acquires the lock if nobody replied as its holder during the query window, and it has the
+ * oldest claim (the lowest time, then the lowest id) of all the nodes that try to acquire it at the same time.
+ * Locks expire after their ttl, even if the holder did not release them, so that a crashed node
+ * does not keep the lock forever. During a network split, both sides can acquire the same lock,
+ * so the ttl should be kept short.
+ * */
+module.exports = (thorin, nOpt, logger) => {
+
+  const ERROR_LOCKED = thorin.error('NATS.LOCKED', 'The lock is currently held by another node', 423);
+
+  class NatsLocks {
+
+    #client = null;
+    #prefix = null;
+    #sid = null;
+    #held = {};  // map of {lockName: {claim, timer, controller}}
+    #acquiring = {}; // map of {lockName: {claim, lost}}
+    #waiters = {}; // map of {lockName: Set(wakeFn)} of the local acquire() calls waiting for a release.
+
+    constructor(client) {
+      this.#client = client;
+      this.#prefix = `${nOpt.channel.prefix || ''}_lock.`;
+      this.#sid = client.subscribe(`${this.#prefix}>`, this.#handleMessage);
+      if (typeof client.on === 'function') client.on('disconnect', this.#onDisconnect);
+    }
+
+    /**
+     * Acquires the given lock, resolving with the lock object {name, expiresAt, signal, release()}
+     * The lock's signal is an AbortSignal, aborted when the lock expires or we lose the connection.
+     * Rejects with NATS.LOCKED if the lock could not be acquired within lOpt.timeout
+     * @Arguments
+     *  - name - the lock name.
+     *  - lOpt.ttl [=10000] - the time (in ms) after which the lock expires.
+     *  - lOpt.timeout [=0] - the max time (in ms) we wait for the lock to be released. With 0, we only try once.
+     *  - lOpt.window [=100] - the time (in ms) we wait for the other nodes to reply to our query.
+     *  - lOpt.retryDelay [=200] - the time (in ms) between acquire attempts, if we're not notified of the release sooner.
+     * */
+    async acquire(name, lOpt = {}) {
+      let ttl = (typeof lOpt.ttl === 'number' && lOpt.ttl > 0 ? lOpt.ttl : 10000),
+        timeout = (typeof lOpt.timeout === 'number' && lOpt.timeout > 0 ? lOpt.timeout : 0),
+        window = (typeof lOpt.window === 'number' && lOpt.window > 0 ? lOpt.window : 100),
+        retryDelay = (typeof lOpt.retryDelay === 'number' && lOpt.retryDelay > 0 ? lOpt.retryDelay : 200),
+        expireAt = Date.now() + timeout;
+      while (true) {
+        if (!this.#client) throw ERROR_LOCKED;
+        let lock = await this.#tryAcquire(name, ttl, window);
+        if (lock) return lock;
+        let remaining = expireAt - Date.now();
+        if (remaining <= 0) throw ERROR_LOCKED;
+        await this.#waitRelease(name, Math.min(remaining, retryDelay));
+      }
+    }
+
+    /**
+     * Releases all our locks and stops answering queries.
+     * */
+    close() {
+      if (!this.#client) return;
+      Object.keys(this.#held).forEach((name) => this.#release(name, this.#held[name].claim.i));
+      this.#client.unsubscribe(this.#sid);
+      if (typeof this.#client.removeListener === 'function') this.#client.removeListener('disconnect', this.#onDisconnect);
+      this.#client = null;
+    }
+
+    /**
+     * Queries the other nodes for the lock, and takes it if nobody holds it and we have the oldest claim.
+     * */
+    #tryAcquire = async (name, ttl, window) => {
+      if (this.#held[name] || this.#acquiring[name]) return null;  // we already hold it or try to acquire it locally.
+      let state = {
+        claim: {
+          t: Date.now(),
+          i: `${thorin.id}.${crypto.randomBytes(4).toString('hex')}`
+        },
+        lost: false
+      };
+      this.#acquiring[name] = state;
+      try {
+        let replies = await this.#query(name, state.claim, window);
+        for (let i = 0; i < replies.length; i++) {
+          let r = replies[i];
+          if (r.h || (r.c && isOlder(r.c, state.claim))) state.lost = true;
+        }
+      } finally {
+        delete this.#acquiring[name];
+      }
+      if (state.lost || !this.#client) return null;
+      return this.#hold(name, state.claim, ttl);
+    }
+
+    #hold = (name, claim, ttl) => {
+      let controller = new AbortController(),
+        lock = {
+          name,
+          expiresAt: Date.now() + ttl,
+          signal: controller.signal,
+          release: () => this.#release(name, claim.i)
+        };
+      this.#held[name] = {
+        claim,
+        controller,
+        timer: setTimeout(() => {
+          if (nOpt.debug) logger.trace(`[LOCK ${name}] expired`);
+          this.#release(name, claim.i);
+        }, ttl)
+      };
+      if (nOpt.debug) logger.trace(`[LOCK ${name}] acquired`);
+      return lock;
+    }
+
+    /**
+     * Releases the given lock if we still hold it with the given claim, notifying the waiting nodes.
+     * */
+    #release = (name, claimId) => {
+      let item = this.#held[name];
+      if (!item || item.claim.i !== claimId) return false;
+      delete this.#held[name];
+      clearTimeout(item.timer);
+      item.controller.abort();
+      if (this.#client) {
+        try {
+          this.#client.publish(this.#prefix + name, JSON.stringify({
+            r: claimId
+          }));
+        } catch (e) {
+          logger.warn(`Could not publish the release of lock ${name}`, e);
+        }
+      }
+      return true;
+    }
+
+    /**
+     * Sends our claim to the other nodes, resolving with all the replies received within the window.
+     * */
+    #query = (name, claim, window) => {
+      return new Promise((resolve) => {
+        let replies = [];
+        this.#client.request(this.#prefix + name, JSON.stringify({
+          q: claim
+        }), {
+          timeout: window
+        }, (msg) => {
+          if (msg instanceof Error) return resolve(replies);
+          let d = parseText(msg);
+          if (d) replies.push(d);
+        });
+      });
+    }
+
+    #handleMessage = (msg, reply, subject) => {
+      let d = parseText(msg),
+        name = subject.substr(this.#prefix.length);
+      if (!d) return;
+      if (typeof d.r === 'string') {
+        let waiters = this.#waiters[name];
+        if (waiters) waiters.forEach((fn) => fn());
+        return;
+      }
+      if (typeof d.q !== 'object' || !d.q || typeof d.q.i !== 'string' || !reply) return;
+      let held = this.#held[name];
+      if (held) {
+        if (held.claim.i === d.q.i) return;
+        return this.#client.publish(reply, JSON.stringify({
+          h: 1
+        }));
+      }
+      let state = this.#acquiring[name];
+      if (!state || state.claim.i === d.q.i) return;
+      if (isOlder(d.q, state.claim)) state.lost = true;
+      this.#client.publish(reply, JSON.stringify({
+        c: state.claim
+      }));
+    }
+
+    /**
+     * Waits for the release of the given lock, or the given time.
+     * */
+    #waitRelease = (name, ms) => {
+      return new Promise((resolve) => {
+        if (!this.#waiters[name]) this.#waiters[name] = new Set();
+        let waiters = this.#waiters[name],
+          timer = setTimeout(wake, ms);
+
+        function wake() {
+          clearTimeout(timer);
+          waiters.delete(wake);
+          resolve();
+        }
+
+        waiters.add(wake);
+      }).then(() => {
+        if (this.#waiters[name] && this.#waiters[name].size === 0) delete this.#waiters[name];
+      });
+    }
+
+    /**
+     * Once we lose the connection, the other nodes can no longer see our locks, so we give them up.
+     * */
+    #onDisconnect = () => {
+      Object.keys(this.#held).forEach((name) => {
+        let item = this.#held[name];
+        delete this.#held[name];
+        clearTimeout(item.timer);
+        item.controller.abort();
+      });
+    }
+  }
+
+  return NatsLocks;
+};
+
+/**
+ * Checks if claim a is older than claim b.
+ * */
+function isOlder(a, b) {
+  if (a.t !== b.t) return a.t < b.t;
+  return a.i < b.i;
+}
@@ -0,0 +1,220 @@
+'use strict';
+const { EventEmitter } = require('events'),
+  crypto = require('crypto');
+/**
+ * This is the heartbeat membership layer, shared by the partitioned channels and the leader elections.
+ * Members announce themselves with heartbeats on the membership subject:
+ *    {"h": memberId, "s": since}            - heartbeat
+ *    {"h": memberId, "s": since, "j": 1}    - join, other members reply with their heartbeat right away.
+ *    {"l": memberId}                        - leave
+ * where "since" is the time the member joined, so that the members can be ordered by age.
+ * Members that miss their heartbeats for opt.timeout ms are considered gone.
+ * This is not a consensus protocol: during a network split, every side only sees its own members.
+ * Events:
+ *  - change (members) - a member joined, left or changed its "since".
+ * */
+module.exports = (thorin, nOpt, logger) => {
+
+  class Membership extends EventEmitter {
+
+    #client = null;
+    #subject = null;
+    #heartbeat = 1000;
+    #timeout = 3000;
+    #members = new Map();  // map of {memberId: {since, lastSeen}}
+    #since = 0;
+    #sid = null;
+    #timer = null;
+    #stale = false; // true once we forgot the members, until we join again.
+
+    /**
+     * @Arguments
+     *  - subject - the membership subject.
+     *  - opt.heartbeat [=1000] - the heartbeat interval (in ms)
+     *  - opt.timeout [=3000] - the time (in ms) after which a silent member is removed.
+     * */
+    constructor(subject, opt = {}) {
+      super();
+      this.#subject = subject;
+      if (typeof opt.heartbeat === 'number' && opt.heartbeat > 0) this.#heartbeat = opt.heartbeat;
+      this.#timeout = (typeof opt.timeout === 'number' && opt.timeout > 0 ? opt.timeout : this.#heartbeat * 3);
+      this.id = `${thorin.id}.${crypto.randomBytes(3).toString('hex')}`;
+    }
+
+    get heartbeat() {
+      return this.#heartbeat;
+    }
+
+    get active() {
+      return this.#sid !== null;
+    }
+
+    /**
+     * Returns the sorted list of known member ids, including ours.
+     * */
+    get members() {
+      return Array.from(this.#members.keys()).sort();
+    }
+
+    has(memberId) {
+      return this.#members.has(memberId);
+    }
+
+    /**
+     * Returns the time the given member joined, or null if we do not know it.
+     * */
+    getSince(memberId) {
+      let item = this.#members.get(memberId);
+      return item ? item.since : null;
+    }
+
+    /**
+     * Joins the member group on the given client, announcing ourselves.
+     * Calling it again while joined (eg: after a reconnect) only announces us once more.
+     * If we forgot the members meanwhile (see reset()), we join as the youngest member,
+     * since the other members may have already replaced us.
+     * Returns true if we were not a member before.
+     * */
+    join(client) {
+      let isNew = (this.#sid === null);
+      if (isNew) {
+        this.#client = client;
+        this.#sid = client.subscribe(this.#subject, this.#handleMessage);
+        this.#timer = setInterval(this.#tick, this.#heartbeat);
+      }
+      if (isNew || this.#stale) this.#since = Date.now();
+      this.#stale = false;
+      this.#members.set(this.id, {
+        since: this.#since,
+        lastSeen: Date.now()
+      });
+      this.#send({
+        h: this.id,
+        s: this.#since,
+        j: 1
+      });
+      if (isNew) this.#change();
+      return isNew;
+    }
+
+    /**
+     * Leaves the member group.
+     * */
+    leave() {
+      if (this.#sid === null) return false;
+      clearInterval(this.#timer);
+      this.#timer = null;
+      this.#send({
+        l: this.id
+      });
+      this.#client.unsubscribe(this.#sid);
+      this.#sid = null;
+      this.#stale = false;
+      this.#members.clear();
+      this.#change();
+      return true;
+    }
+
+    /**
+     * Re-joins as the youngest member, while keeping our subscription.
+     * */
+    renew() {
+      if (this.#sid === null) return false;
+      this.#since = Date.now();
+      this.#members.set(this.id, {
+        since: this.#since,
+        lastSeen: Date.now()
+      });
+      this.#send({
+        h: this.id,
+        s: this.#since
+      });
+      this.#change();
+      return true;
+    }
+
+    /**
+     * Forgets all the known members, eg: once we lose the connection and can no longer hear from them.
+     * We stop sending heartbeats until we join() again, so that the heartbeats buffered by the client
+     * do not announce our old "since" once we reconnect.
+     * */
+    reset() {
+      this.#members.clear();
+      this.#stale = true;
+    }
+
+    #handleMessage = (msg) => {
+      let d = parseText(msg);
+      if (!d) return;
+      if (typeof d.l === 'string') {
+        if (d.l === this.id || !this.#members.delete(d.l)) return;
+        return this.#change();
+      }
+      if (typeof d.h !== 'string' || d.h === this.id) return;
+      let since = (typeof d.s === 'number' ? d.s : 0),
+        item = this.#members.get(d.h),
+        changed = (!item || item.since !== since);
+      this.#members.set(d.h, {
+        since,
+        lastSeen: Date.now()
+      });
+      if (d.j && !this.#stale) this.#send({
+        h: this.id,
+        s: this.#since
+      });
+      if (changed) this.#change();
+    }
+
+    /**
+     * Sends our heartbeat and removes the members we did not hear from in time.
+     * */
+    #tick = () => {
+      if (this.#stale) return;
+      let now = Date.now(),
+        changed = false;
+      this.#members.set(this.id, {
+        since: this.#since,
+        lastSeen: now
+      });
+      this.#send({
+        h: this.id,
+        s: this.#since
+      });
+      for (let [id, item] of this.#members) {
+        if (now - item.lastSeen <= this.#timeout) continue;
+        this.#members.delete(id);
+        changed = true;
+      }
+      if (changed) this.#change();
+    }
+
+    #change = () => {
+      this.emit('change', this.members);
+    }
+
+    #send = (d) => {
+      try {
+        this.#client.publish(this.#subject, JSON.stringify(d));
+      } catch (e) {
+        logger.warn(`Could not send membership heartbeat on ${this.#subject}`, e);
+      }
+    }
+  }
+
+  return Membership;
+};
+
+/**
+ * Parses the given JSON message, returning null if it is not valid.
+ * */
+function parseText(msg) {
+  try {
+    if (Buffer.isBuffer(msg)) msg = msg.toString();
+    if (typeof msg === 'string') return JSON.parse(msg);
+    if (typeof msg === 'object' && msg) return msg;
+  } catch (e) {
+  }
+  return null;
+}
+
+module.exports.parseText = parseText;
@@ -0,0 +1,304 @@
+'use strict';
+const { EventEmitter } = require('events'),
+  crypto = require('crypto'),
+  nats = require('nats'),
+  pattern = require('./pattern');
+/**
+ * This is an in-memory loopback transport, that implements the subset of the nats.io client
+ * used by our channels: subscribe() with queue groups, unsubscribe(), drainSubscription(),
+ * publish() and request() with max/timeout.
+ * All the memory connections of the process share the same bus, so that
+ * multiple clients (or multiple apps in the same process) can talk to each other,
+ * without a running NATS server. This is used with opt.transport = 'memory'
+ * Just like the server, we reject messages larger than the max payload (config.maxPayload, defaults to 1MB)
+ * */
+const bus = {
+  subs: {},   // map of {sid: subscription}, across all connections.
+  nextSid: 1
+};
+
+class MemoryConnection extends EventEmitter {
+
+  #json = false;
+  #encoding = 'utf8';
+  #sids = [];
+  #requests = {};
+  #nextRequest = -1;
+  #inbox = null;
+
+  constructor(config = {}) {
+    super();
+    this.#json = config.json === true;
+    if (typeof config.encoding === 'string') this.#encoding = config.encoding;
+    this.options = config;
+    this.connected = true;
+    this.closed = false;
+    this.draining = false;
+    this.reconnects = 0;
+    this.info = {
+      max_payload: (typeof config.maxPayload === 'number' ? config.maxPayload : 1024 * 1024)
+    };
+    this.currentServer = {
+      url: {
+        href: 'memory://local'
+      }
+    };
+    process.nextTick(() => this.emit('connect', this));
+  }
+
+  createInbox() {
+    return `_INBOX.${crypto.randomBytes(11).toString('hex')}`;
+  }
+
+  /**
+   * Subscribe to the given subject, with optional options.queue and options.max
+   * */
+  subscribe(subject, options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+    if (!options) options = {};
+    if (this.closed) return this.#error(nats.CONN_CLOSED, 'Connection closed');
+    let sid = bus.nextSid++;
+    bus.subs[sid] = {
+      sid,
+      conn: this,
+      subject,
+      tokens: subject.split('.'),
+      queue: options.queue || null,
+      max: (typeof options.max === 'number' ? options.max : 0),
+      received: 0,
+      callback
+    };
+    this.#sids.push(sid);
+    this.emit('subscribe', sid, subject, options);
+    return sid;
+  }
+
+  unsubscribe(sid, max) {
+    if (!sid || this.closed) return;
+    if (sid < 0) {
+      this.#cancelRequest(sid);
+      return;
+    }
+    let sub = bus.subs[sid];
+    if (!sub || sub.conn !== this) return;
+    if (max && sub.received < max) {
+      sub.max = max;
+      return;
+    }
+    this.#removeSub(sub);
+  }
+
+  /**
+   * Removes the subscription once all the messages that are already
+   * in-flight towards it were delivered.
+   * */
+  drainSubscription(sid, callback) {
+    let sub = bus.subs[sid];
+    if (!sub || sub.conn !== this) {
+      if (typeof callback === 'function') callback();
+      return;
+    }
+    sub.draining = true;
+    setImmediate(() => {
+      this.#removeSub(sub);
+      if (typeof callback === 'function') callback();
+    });
+  }
+
+  publish(subject, data, reply, callback) {
+    if (typeof reply === 'function') {
+      callback = reply;
+      reply = undefined;
+    }
+    if (this.closed) return this.#error(nats.CONN_CLOSED, 'Connection closed', callback);
+    if (this.draining) return this.#error(nats.CONN_DRAINING, 'Connection draining', callback);
+    if (!subject) return this.#error(nats.BAD_SUBJECT, 'Subject must be supplied', callback);
+    let raw = this.#encode(data);
+    if (getSize(raw) > this.info.max_payload) return this.#error(nats.BAD_MSG, 'Maximum Payload Violation', callback);
+    let targets = getTargets(subject);
+    for (let i = 0; i < targets.length; i++) {
+      let sub = targets[i];
+      sub.conn.#deliver(sub, raw, reply, subject);
+    }
+    if (typeof callback === 'function') setImmediate(callback);
+  }
+
+  /**
+   * Publishes a request with an implicit inbox. The callback is called for every reply,
+   * until options.max replies were received or the options.timeout is reached.
+   * Returns a negative request id, that can be used with unsubscribe()
+   * */
+  request(subject, data, options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+    if (!options) options = {};
+    if (this.closed) return this.#error(nats.CONN_CLOSED, 'Connection closed', callback) && 0;
+    if (!this.#inbox) {
+      this.#inbox = this.createInbox();
+      this.subscribe(`${this.#inbox}.*`, (msg, reply, subject) => {
+        let token = subject.substr(this.#inbox.length + 1),
+          conf = this.#requests[token];
+        if (!conf) return;
+        conf.received++;
+        if (conf.callback) conf.callback(msg, reply);
+        if (conf.expected && conf.received >= conf.expected) {
+          this.#cancelRequest(token);
+        }
+      });
+    }
+    let token = crypto.randomBytes(8).toString('hex'),
+      conf = {
+        id: this.#nextRequest--,
+        token,
+        callback,
+        received: 0,
+        expected: (options.max > 0 ? options.max : 0)
+      };
+    this.#requests[token] = conf;
+    this.publish(subject, data, `${this.#inbox}.${token}`);
+    if (options.timeout) {
+      conf.timeout = setTimeout(() => {
+        if (!this.#requests[token]) return;
+        this.#cancelRequest(token);
+        if (conf.callback) {
+          conf.callback(new nats.NatsError(`The request timed out for subscription id: ${conf.id}`, nats.REQ_TIMEOUT));
+        }
+      }, options.timeout);
+    }
+    return conf.id;
+  }
+
+  flush(callback) {
+    if (typeof callback === 'function') setImmediate(callback);
+  }
+
+  numSubscriptions() {
+    return this.#sids.length;
+  }
+
+  /**
+   * Drains all the subscriptions and closes the connection.
+   * */
+  drain(callback) {
+    this.draining = true;
+    setImmediate(() => {
+      this.close();
+      if (typeof callback === 'function') callback();
+    });
+  }
+
+  close() {
+    if (this.closed) return;
+    this.#sids.slice(0).forEach((sid) => {
+      if (bus.subs[sid]) this.#removeSub(bus.subs[sid]);
+    });
+    Object.keys(this.#requests).forEach((token) => this.#cancelRequest(token));
+    this.closed = true;
+    this.connected = false;
+    this.emit('close');
+  }
+
+  #deliver = (sub, raw, reply, subject) => {
+    setImmediate(() => {
+      if (bus.subs[sub.sid] !== sub) return;  // unsubscribed in the meantime.
+      sub.received++;
+      if (sub.max && sub.received >= sub.max) {
+        this.#removeSub(sub);
+      }
+      let msg = this.#decode(raw);
+      if (typeof msg === 'undefined') return;
+      try {
+        sub.callback(msg, reply, subject, sub.sid);
+      } catch (e) {
+        this.emit('error', e);
+      }
+    });
+  }
+
+  #removeSub = (sub) => {
+    delete bus.subs[sub.sid];
+    let idx = this.#sids.indexOf(sub.sid);
+    if (idx !== -1) this.#sids.splice(idx, 1);
+    this.emit('unsubscribe', sub.sid, sub.subject);
+  }
+
+  #cancelRequest = (token) => {
+    if (typeof token === 'number') {
+      token = Object.keys(this.#requests).find((t) => this.#requests[t].id === token);
+      if (!token) return;
+    }
+    let conf = this.#requests[token];
+    if (!conf) return;
+    if (conf.timeout) clearTimeout(conf.timeout);
+    delete this.#requests[token];
+  }
+
+  /**
+   * Serializes the data just like the nats.io client would, so that
+   * subscribers never share object references with the publisher.
+   * */
+  #encode = (data) => {
+    if (Buffer.isBuffer(data)) return Buffer.from(data);
+    if (this.#json) return JSON.stringify(typeof data === 'undefined' ? null : data);
+    return (typeof data === 'undefined' || data === null) ? '' : data;
+  }
+
+  #decode = (raw) => {
+    if (this.#json) {
+      try {
+        return JSON.parse(Buffer.isBuffer(raw) ? raw.toString() : raw);
+      } catch (e) {
+        this.emit('error', new nats.NatsError('Message Parser Failed', nats.BAD_JSON));
+        return undefined;
+      }
+    }
+    if (this.#encoding === 'binary' || this.options.preserveBuffers) {
+      return Buffer.isBuffer(raw) ? raw : Buffer.from(String(raw));
+    }
+    return Buffer.isBuffer(raw) ? raw.toString(this.#encoding) : raw;
+  }
+
+  #error = (code, message, callback) => {
+    let err = new nats.NatsError(message, code);
+    if (typeof callback === 'function') {
+      callback(err);
+    } else {
+      this.emit('error', err);
+    }
+    return true;
+  }
+}
+
+/**
+ * Returns the subscriptions that should receive a message on the given subject.
+ * Queue group members receive it only once per group, on a randomly picked member.
+ * */
+function getTargets(subject) {
+  let targets = [],
+    groups = {};
+  Object.keys(bus.subs).forEach((sid) => {
+    let sub = bus.subs[sid];
+    if (sub.draining) return;
+    if (!pattern.match(sub.tokens, subject)) return;
+    if (!sub.queue) return targets.push(sub);
+    if (!groups[sub.queue]) groups[sub.queue] = [];
+    groups[sub.queue].push(sub);
+  });
+  Object.keys(groups).forEach((q) => {
+    let members = groups[q];
+    targets.push(members[Math.floor(Math.random() * members.length)]);
+  });
+  return targets;
+}
+
+function getSize(raw) {
+  if (Buffer.isBuffer(raw)) return raw.length;
+  return Buffer.byteLength(String(raw));
+}
+
+module.exports = MemoryConnection;
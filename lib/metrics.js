@@ -0,0 +1,180 @@
+'use strict';
+/**
+ * This is a minimal in-memory metrics registry, used by channels to record
+ * per channel/action counters, gauges and latency histograms for both
+ * the dispatching and the handling side.
+ * The registry can be exported as a JSON snapshot or in the Prometheus text exposition format.
+ * */
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]; // in seconds
+
+const METRICS = {
+  // dispatching side
+  nats_dispatch_total: ['counter', 'Total number of dispatched requests'],
+  nats_dispatch_timeout_total: ['counter', 'Total number of dispatched requests that timed out'],
+  nats_dispatch_remote_error_total: ['counter', 'Total number of dispatched requests that received an error reply'],
+  nats_dispatch_failed_total: ['counter', 'Total number of dispatched requests that failed in the NATS client'],
+  nats_dispatch_in_flight: ['gauge', 'Number of dispatched requests waiting for a reply'],
+  nats_dispatch_duration_seconds: ['histogram', 'Dispatched request duration, until the reply was received'],
+  nats_publish_total: ['counter', 'Total number of published events'],
+  // handling side
+  nats_request_total: ['counter', 'Total number of handled incoming requests'],
+  nats_request_error_total: ['counter', 'Total number of incoming requests that resulted in a handler error'],
+  nats_request_busy_total: ['counter', 'Total number of incoming requests rejected because the handler was too busy'],
+  nats_request_in_flight: ['gauge', 'Number of incoming requests currently being handled'],
+  nats_request_duration_seconds: ['histogram', 'Incoming request handling duration'],
+  nats_event_total: ['counter', 'Total number of received published events']
+};
+
+module.exports = (thorin, opt, logger) => {
+
+  class NatsMetrics {
+
+    #series = {};
+    #buckets = DEFAULT_BUCKETS;
+
+    constructor(mOpt = {}) {
+      if (mOpt.buckets instanceof Array && mOpt.buckets.length > 0) {
+        this.#buckets = mOpt.buckets.slice(0).sort((a, b) => a - b);
+      }
+    }
+
+    /**
+     * Returns (and creates) the series of the given metric name and labels.
+     * */
+    #get = (name, labels) => {
+      let key = name + getLabelKey(labels),
+        item = this.#series[key];
+      if (item) return item;
+      let def = METRICS[name];
+      if (!def) throw thorin.error('NATS.METRICS', `Metric ${name} does not exist`, 500);
+      item = {
+        name,
+        type: def[0],
+        labels: labels || {}
+      };
+      if (item.type === 'histogram') {
+        item.buckets = this.#buckets.map(() => 0);
+        item.sum = 0;
+        item.count = 0;
+      } else {
+        item.value = 0;
+      }
+      this.#series[key] = item;
+      return item;
+    }
+
+    /**
+     * Increments a counter or gauge.
+     * */
+    inc(name, labels, value = 1) {
+      this.#get(name, labels).value += value;
+    }
+
+    /**
+     * Decrements a gauge.
+     * */
+    dec(name, labels, value = 1) {
+      this.#get(name, labels).value -= value;
+    }
+
+    /**
+     * Records a duration (in ms) in a histogram.
+     * */
+    observe(name, labels, ms) {
+      let item = this.#get(name, labels),
+        sec = ms / 1000;
+      item.sum += sec;
+      item.count++;
+      for (let i = 0; i < this.#buckets.length; i++) {
+        if (sec <= this.#buckets[i]) item.buckets[i]++;
+      }
+    }
+
+    /**
+     * Starts a timer, returning a function that records the elapsed time when called.
+     * */
+    timer(name, labels) {
+      let start = Date.now();
+      return () => this.observe(name, labels, Date.now() - start);
+    }
+
+    /**
+     * Returns a JSON snapshot of all the recorded metrics, grouped by metric name.
+     * */
+    snapshot() {
+      let res = {};
+      Object.keys(this.#series).forEach((key) => {
+        let item = this.#series[key];
+        if (!res[item.name]) res[item.name] = [];
+        let d = {
+          labels: Object.assign({}, item.labels)
+        };
+        if (item.type === 'histogram') {
+          d.count = item.count;
+          d.sum = item.sum;
+          d.buckets = {};
+          this.#buckets.forEach((b, i) => {
+            d.buckets[b] = item.buckets[i];
+          });
+        } else {
+          d.value = item.value;
+        }
+        res[item.name].push(d);
+      });
+      return res;
+    }
+
+    /**
+     * Returns all the recorded metrics in the Prometheus text exposition format.
+     * */
+    export() {
+      let groups = {},
+        lines = [];
+      Object.keys(this.#series).forEach((key) => {
+        let item = this.#series[key];
+        if (!groups[item.name]) groups[item.name] = [];
+        groups[item.name].push(item);
+      });
+      Object.keys(groups).forEach((name) => {
+        let def = METRICS[name];
+        lines.push(`# HELP ${name} ${def[1]}`);
+        lines.push(`# TYPE ${name} ${def[0]}`);
+        groups[name].forEach((item) => {
+          if (item.type !== 'histogram') {
+            lines.push(`${name}${formatLabels(item.labels)} ${item.value}`);
+            return;
+          }
+          this.#buckets.forEach((b, i) => {
+            lines.push(`${name}_bucket${formatLabels(item.labels, {le: b})} ${item.buckets[i]}`);
+          });
+          lines.push(`${name}_bucket${formatLabels(item.labels, {le: '+Inf'})} ${item.count}`);
+          lines.push(`${name}_sum${formatLabels(item.labels)} ${item.sum}`);
+          lines.push(`${name}_count${formatLabels(item.labels)} ${item.count}`);
+        });
+      });
+      return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Clears all the recorded metrics.
+     * */
+    reset() {
+      this.#series = {};
+    }
+  }
+
+  return NatsMetrics;
+};
+
+function getLabelKey(labels) {
+  if (!labels) return '';
+  return JSON.stringify(Object.keys(labels).sort().map((k) => [k, labels[k]]));
+}
+
+function formatLabels(labels, extra) {
+  let all = Object.assign({}, labels, extra),
+    keys = Object.keys(all);
+  if (keys.length === 0) return '';
+  let items = keys.map((k) => `${k}="${String(all[k]).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+  return `{${items.join(',')}}`;
+}
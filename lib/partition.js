@@ -0,0 +1,140 @@
+'use strict';
+const { EventEmitter } = require('events'),
+  initMembership = require('./membership');
+/**
+ * This is the partition assignment layer of partitioned channels.
+ * A partitioned channel splits its keyed messages over N partition subjects, by hashing the partition key.
+ * Every node serving the channel joins the channel's member group (see membership.js),
+ * and claims a subset of the partitions, so that all the messages of a key are handled by a single node, in order.
+ * Partitions are assigned with rendezvous hashing over the known members, so every member computes
+ * the same assignment without coordination, and only the partitions of joining/leaving members move.
+ * */
+module.exports = (thorin, nOpt, logger) => {
+
+  const Membership = initMembership(thorin, nOpt, logger);
+
+  class PartitionGroup extends EventEmitter {
+
+    #client = null;
+    #subject = null;
+    #count = 0;
+    #membership = null;
+    #owned = [];
+
+    /**
+     * @Arguments
+     *  - client - the NATS.io client
+     *  - subject - the membership subject.
+     *  - opt.count - the number of partitions.
+     *  - opt.heartbeat [=1000] - the heartbeat interval (in ms)
+     *  - opt.timeout [=3000] - the time (in ms) after which a silent member is removed.
+     * */
+    constructor(client, subject, opt = {}) {
+      super();
+      this.#client = client;
+      this.#subject = subject;
+      this.#count = opt.count;
+      this.#membership = new Membership(subject, opt);
+      this.#membership.on('change', this.#rebalance);
+      this.id = this.#membership.id;
+    }
+
+    /**
+     * Returns the partitions this member currently owns.
+     * */
+    get partitions() {
+      return this.#owned.slice(0);
+    }
+
+    /**
+     * Returns the sorted list of known member ids, including ours.
+     * */
+    get members() {
+      return this.#membership.members;
+    }
+
+    get active() {
+      return this.#membership.active;
+    }
+
+    /**
+     * Joins the member group, claiming our partitions.
+     * */
+    join() {
+      if (this.#membership.active) return false;
+      return this.#membership.join(this.#client);
+    }
+
+    /**
+     * Leaves the member group, releasing all our partitions.
+     * */
+    leave() {
+      return this.#membership.leave();
+    }
+
+    /**
+     * Re-computes the partitions we own, emitting "rebalance" if they changed.
+     * */
+    #rebalance = () => {
+      let members = this.members,
+        owned = [];
+      if (this.#membership.has(this.id)) {
+        for (let i = 0; i < this.#count; i++) {
+          if (getOwner(members, i) === this.id) owned.push(i);
+        }
+      }
+      let added = owned.filter((i) => this.#owned.indexOf(i) === -1),
+        removed = this.#owned.filter((i) => owned.indexOf(i) === -1);
+      if (added.length === 0 && removed.length === 0) return;
+      this.#owned = owned;
+      if (nOpt.debug) logger.trace(`[PARTITION ${this.#subject}] ${this.id} owns [${owned.join(',')}] of ${members.length} members`);
+      this.emit('rebalance', {
+        partitions: owned.slice(0),
+        added,
+        removed,
+        members
+      });
+    }
+  }
+
+  /**
+   * Returns the partition of the given key.
+   * */
+  PartitionGroup.getPartition = (key, count) => hashKey(String(key)) % count;
+
+  return PartitionGroup;
+};
+
+/**
+ * Returns the member owning the given partition, as the member with the highest hash score.
+ * */
+function getOwner(members, partition) {
+  let owner = null,
+    max = -1;
+  for (let i = 0; i < members.length; i++) {
+    let score = hashKey(`${members[i]}:${partition}`);
+    if (score > max) {
+      max = score;
+      owner = members[i];
+    }
+  }
+  return owner;
+}
+
+/**
+ * The 32-bit FNV-1a hash of the given string, with the murmur3 finalizer,
+ * so that similar strings (eg: "{member}:1" and "{member}:2") get well spread scores.
+ * */
+function hashKey(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  hash ^= hash >>> 16;
+  hash = Math.imul(hash, 0x85ebca6b);
+  hash ^= hash >>> 13;
+  hash = Math.imul(hash, 0xc2b2ae35);
+  hash ^= hash >>> 16;
+  return hash >>> 0;
+}
@@ -0,0 +1,82 @@
+'use strict';
+/**
+ * NATS-style token matching for action names.
+ * Action names are split into tokens by ".", and patterns can contain:
+ *  - "*" - matches exactly one token, eg: "user.*" matches "user.read" but not "user.read.all"
+ *  - ">" - matches one or more tokens, and can only be the last token, eg: "audit.>"
+ * A single ">" pattern acts as a catch-all.
+ * */
+const WILDCARD_ONE = '*',
+  WILDCARD_MANY = '>';
+
+/**
+ * Checks if the given action name is a pattern.
+ * */
+function isPattern(name) {
+  if (typeof name !== 'string') return false;
+  let tokens = name.split('.');
+  return tokens.indexOf(WILDCARD_ONE) !== -1 || tokens.indexOf(WILDCARD_MANY) !== -1;
+}
+
+/**
+ * Splits the pattern into tokens, returning null if the pattern is not valid.
+ * */
+function parse(name) {
+  if (typeof name !== 'string' || !name) return null;
+  let tokens = name.split('.');
+  for (let i = 0; i < tokens.length; i++) {
+    if (tokens[i] === '') return null;
+    if (tokens[i] === WILDCARD_MANY && i !== tokens.length - 1) return null;
+  }
+  return tokens;
+}
+
+/**
+ * Checks if the given name can be used as a NATS subject, optionally containing wildcards.
+ * */
+function isSubject(name, allowWildcards) {
+  if (typeof name !== 'string' || /\s/.test(name)) return false;
+  if (!parse(name)) return false;
+  return allowWildcards || !isPattern(name);
+}
+
+/**
+ * Checks if the given pattern tokens match the action name.
+ * */
+function match(tokens, name) {
+  let nameTokens = name.split('.');
+  for (let i = 0; i < tokens.length; i++) {
+    let t = tokens[i];
+    if (t === WILDCARD_MANY) return nameTokens.length > i;
+    if (i >= nameTokens.length) return false;
+    if (t !== WILDCARD_ONE && t !== nameTokens[i]) return false;
+  }
+  return tokens.length === nameTokens.length;
+}
+
+/**
+ * Sort comparator that places the most specific pattern first.
+ * Tokens are compared left to right, literal > "*" > ">". On a tie, the longer pattern wins.
+ * */
+function compare(a, b) {
+  let len = Math.min(a.length, b.length);
+  for (let i = 0; i < len; i++) {
+    let diff = tokenWeight(b[i]) - tokenWeight(a[i]);
+    if (diff !== 0) return diff;
+  }
+  return b.length - a.length;
+}
+
+function tokenWeight(t) {
+  if (t === WILDCARD_MANY) return 0;
+  if (t === WILDCARD_ONE) return 1;
+  return 2;
+}
+
+module.exports = {
+  isPattern,
+  parse,
+  isSubject,
+  match,
+  compare
+};
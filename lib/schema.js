@@ -0,0 +1,102 @@
+'use strict';
+/**
+ * This is the declarative payload validation used by channel.handle()
+ * A schema is an object of {fieldName: validator}, where validator is either:
+ *  - a thorin.sanitize() type name, eg: 'STRING', 'NUMBER'
+ *  - a dispatcher.validate() object, eg: dispatcher.validate('STRING').default('John')
+ * Just like thorin actions, only the fields declared in the schema are kept.
+ * */
+module.exports = (thorin) => {
+
+  const schema = {};
+
+  /**
+   * Validates the given data against the schema, resolving with the sanitized result.
+   * If any field fails, we reject with the given error code/message and status,
+   * having error.data.fields containing the list of {field, code, message}
+   * */
+  schema.validate = async (fields, data, errCode, errMessage, errStatus) => {
+    if (typeof data !== 'object' || !data) data = {};
+    let result = {},
+      failed = [],
+      keys = Object.keys(fields);
+    for (let i = 0; i < keys.length; i++) {
+      let key = keys[i];
+      try {
+        result[key] = await validateField(key, fields[key], data[key]);
+      } catch (e) {
+        failed.push({
+          field: key,
+          code: e.code || 'INPUT.NOT_VALID',
+          message: e.message
+        });
+      }
+    }
+    if (failed.length > 0) {
+      throw thorin.error(errCode, errMessage, errStatus, {
+        fields: failed
+      });
+    }
+    return result;
+  };
+
+  /**
+   * Checks if the given schema has a valid structure.
+   * */
+  schema.isValid = (fields) => {
+    if (typeof fields !== 'object' || !fields) return false;
+    let keys = Object.keys(fields);
+    for (let i = 0; i < keys.length; i++) {
+      let v = fields[keys[i]];
+      if (typeof v === 'string' && v) continue;
+      if (typeof v === 'object' && v && typeof v.run === 'function') continue;
+      return false;
+    }
+    return true;
+  };
+
+  /**
+   * Returns a JSON description of the given schema, as {fieldName: {type, required, default}}
+   * Used by channel introspection.
+   * */
+  schema.describe = (fields) => {
+    if (typeof fields !== 'object' || !fields) return null;
+    let res = {};
+    Object.keys(fields).forEach((key) => {
+      let v = fields[key];
+      if (typeof v === 'string') {
+        res[key] = {
+          type: v,
+          required: true
+        };
+        return;
+      }
+      let d = {
+        type: (typeof v.type === 'string' ? v.type : null)
+      };
+      let def = (typeof v.default === 'function' ? v.default() : undefined);
+      d.required = (typeof def === 'undefined');
+      if (!d.required && typeof def !== 'function') d.default = def;
+      res[key] = d;
+    });
+    return res;
+  };
+
+  async function validateField(key, validator, value) {
+    if (typeof validator === 'string') {
+      let r = await thorin.sanitize(validator, value);
+      if (typeof r === 'undefined' || r === null) {
+        throw thorin.error('INPUT.NOT_VALID', 'Invalid value for ' + key, 400);
+      }
+      return r;
+    }
+    return new Promise((resolve, reject) => {
+      validator.run(key, value, (e, r) => {
+        if (e) return reject(e);
+        resolve(r);
+      });
+    });
+  }
+
+  return schema;
+};
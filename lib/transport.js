@@ -0,0 +1,148 @@
+'use strict';
+/**
+ * This is the thorin transport that exposes our thorin actions through a NATS channel.
+ * An action is exposed when it either:
+ *  - has a "NATS" alias, eg: dispatcher.addAction('user.read').alias('NATS', 'api.user.read') - callable as "api.user.read"
+ *  - calls .expose('nats') - callable with its action name.
+ * Incoming dispatches create a thorin intent that goes through thorin.dispatcher,
+ * so the action's inputs, middleware and authorization apply just like over HTTP.
+ * The intent result is sent back as the reply data ({type, result, meta}, like dispatcher.dispatch()),
+ * and intent errors are sent back as remote errors.
+ * Usage:
+ *    plugin config: expose: { channel: 'api' }
+ *    thorin.dispatcher.addAction('user.read').expose('nats').use(...)
+ *    // some other service
+ *    let res = await natsObj.channel('api').dispatch('user.read', {id: 1});
+ * */
+const TRANSPORT_NAME = 'nats',
+  ALIAS_VERB = 'NATS';
+
+module.exports = (thorin, nOpt, logger) => {
+
+  const ERROR_NOT_FOUND = thorin.error('SERVER.NOT_FOUND', 'The requested resource was not found or is currently unavailable.', 404);
+
+  class NatsTransport extends thorin.Interface.Transport {
+
+    #channel = null;
+    #disabled = {}; // map of {actionName: true} of the temporarily disabled actions.
+
+    /**
+     * @Arguments
+     *  - channelObj - the NatsChannel we handle the exposed actions on.
+     * */
+    constructor(channelObj) {
+      super();
+      this.name = TRANSPORT_NAME;
+      this.type = thorin.Interface.Transport.TYPE.RECEIVER;
+      this.#channel = channelObj;
+    }
+
+    /**
+     * Called by the dispatcher for every registered action.
+     * We register a channel handler for every exposed name of the action.
+     * Actions added with {transport: 'nats', save: false} are routed by their name. The dispatcher
+     * does not keep them, so it cannot trigger their intents and we do not expose them.
+     * */
+    routeAction(actionObj) {
+      if (typeof actionObj === 'string') {
+        let actionName = actionObj;
+        actionObj = thorin.dispatcher.getAction(actionName);
+        if (!actionObj) {
+          logger.warn(`Action ${actionName} is not saved in the dispatcher, so it cannot be exposed over NATS`);
+          return;
+        }
+      }
+      if (typeof actionObj !== 'object' || !actionObj) return;
+      let names = getExposedNames(actionObj);
+      for (let i = 0; i < names.length; i++) {
+        let name = names[i];
+        try {
+          this.#channel.handle(name, (payload, req) => this.#handleIntent(actionObj.name, name, payload, req));
+          if (nOpt.debug) logger.trace(`[EXPOSE ${this.#channel.name}] ${name} -> ${actionObj.name}`);
+        } catch (e) {
+          logger.warn(`Could not expose action ${actionObj.name} as ${name}`, e);
+        }
+      }
+    }
+
+    disableAction(actionName) {
+      this.#disabled[actionName] = true;
+    }
+
+    enableAction(actionName) {
+      delete this.#disabled[actionName];
+    }
+
+    /**
+     * Creates the thorin intent of an incoming request, resolving with the intent result.
+     * The caller's authorization header, if any, is used as the intent's TOKEN authorization.
+     * */
+    #handleIntent = (actionName, alias, payload, req) => {
+      if (this.#disabled[actionName]) return Promise.reject(ERROR_NOT_FOUND);
+      return new Promise((resolve, reject) => {
+        let intentObj = new thorin.Intent(actionName, payload || {}, (wasErr, data) => {
+          if (wasErr) return reject(data.error || data);
+          resolve(data);
+        });
+        intentObj.transport = TRANSPORT_NAME;
+        if (alias !== actionName) intentObj.alias = alias;
+        let headers = req.headers || {};
+        intentObj.client({
+          caller: req.caller || null,
+          trace: req.trace || null,
+          headers
+        });
+        let token = getToken(headers);
+        if (token) intentObj._setAuthorization('TOKEN', token);
+        thorin.dispatcher.triggerIntent(intentObj);
+      });
+    }
+  }
+
+  /**
+   * Adds Action.prototype.expose(transport), so that actions can call .expose('nats') to be exposed with their own name.
+   * This is only called when the plugin registers the transport (opt.expose.channel), before the app defines its actions.
+   * */
+  NatsTransport.addExpose = () => {
+    if (typeof thorin.Action.prototype.expose === 'function') return;
+    thorin.Action.prototype.expose = function (transport) {
+      if (typeof transport !== 'string' || !transport) {
+        logger.warn(`Thorin.expose: transport name must be a string for action ${this.name}`);
+        return this;
+      }
+      if (!this.exposed) this.exposed = [];
+      if (this.exposed.indexOf(transport) === -1) this.exposed.push(transport);
+      return this;
+    };
+  };
+
+  return NatsTransport;
+};
+
+/**
+ * Returns all the names the action is exposed with over NATS.
+ * */
+function getExposedNames(actionObj) {
+  let names = [];
+  if (actionObj.exposed instanceof Array && actionObj.exposed.indexOf(TRANSPORT_NAME) !== -1) {
+    names.push(actionObj.name);
+  }
+  let aliases = actionObj.aliases || [];
+  for (let i = 0; i < aliases.length; i++) {
+    let item = aliases[i];
+    if (typeof item.verb !== 'string' || item.verb.toUpperCase() !== ALIAS_VERB) continue;
+    if (typeof item.name !== 'string' || !item.name || names.indexOf(item.name) !== -1) continue;
+    names.push(item.name);
+  }
+  return names;
+}
+
+/**
+ * Extracts the authorization token from the request headers, removing the "Bearer" prefix.
+ * */
+function getToken(headers) {
+  let value = headers.authorization || headers.Authorization;
+  if (typeof value !== 'string' || !value) return null;
+  if (value.indexOf('Bearer ') === 0) value = value.substr(7);
+  return value.trim() || null;
+}
@@ -0,0 +1,79 @@
+'use strict';
+const { describe, it, before, after } = require('node:test'),
+  assert = require('assert'),
+  thorin = require('thorin'),
+  initNats = require('../index');
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('buffer', () => {
+  let natsObj,
+    events = [];
+
+  before(async () => {
+    natsObj = initNats(thorin, {transport: 'memory'});
+    await new Promise((resolve) => natsObj.run(resolve));
+    let handler = natsObj.channel.create('test.buffer');
+    handler.handle('echo', (payload) => payload);
+    handler.on('event', (event) => events.push(event.payload.i));
+    await wait(10);
+  });
+
+  after(() => natsObj.close({timeout: 100}));
+
+  it('sends the dispatches and publishes made before the client connected', async () => {
+    let nats = initNats(thorin, {transport: 'memory'}, 'nats-buffer'),
+      caller = nats.channel('test.buffer', {buffer: {size: 10}});
+    events = [];
+    let res = caller.dispatch('echo', {i: 1});
+    assert.strictEqual(caller.publish('user.created', {i: 2}), true);
+    await new Promise((resolve) => nats.run(resolve));
+    try {
+      assert.deepStrictEqual(await res, {i: 1});
+      await wait(10);
+      assert.deepStrictEqual(events, [2]);
+    } finally {
+      await nats.close({timeout: 100});
+    }
+  });
+
+  it('buffers while disconnected and flushes on reconnect', async () => {
+    let caller = natsObj.channel.create('test.buffer', {buffer: {size: 10}});
+    events = [];
+    await wait(10);
+    natsObj.client.connected = false;
+    try {
+      caller.publish('user.created', {i: 3});
+      let res = caller.dispatch('echo', {i: 4});
+      await wait(10);
+      assert.deepStrictEqual(events, []);
+      natsObj.client.connected = true;
+      natsObj.client.emit('reconnect');
+      assert.deepStrictEqual(await res, {i: 4});
+      await wait(10);
+      assert.deepStrictEqual(events, [3]);
+    } finally {
+      natsObj.client.connected = true;
+    }
+  });
+
+  it('drops the oldest or newest messages once full, and the expired ones', async () => {
+    let nats = initNats(thorin, {transport: 'memory'}, 'nats-buffer-full'),
+      oldest = nats.channel.create('test.buffer', {buffer: {size: 1}}),
+      newest = nats.channel.create('test.buffer', {buffer: {size: 1, overflow: 'drop-newest'}}),
+      expiring = nats.channel.create('test.buffer', {buffer: {size: 10, ttl: 20}});
+    let dropped = oldest.dispatch('echo', {i: 5}),
+      kept = oldest.dispatch('echo', {i: 6});
+    await assert.rejects(dropped, {code: 'NATS.BUFFER_FULL'});
+    let first = newest.dispatch('echo', {i: 7});
+    await assert.rejects(newest.dispatch('echo', {i: 8}), {code: 'NATS.BUFFER_FULL'});
+    await assert.rejects(expiring.dispatch('echo', {i: 9}), {code: 'NATS.BUFFER_EXPIRED'});
+    await new Promise((resolve) => nats.run(resolve));
+    try {
+      assert.deepStrictEqual(await kept, {i: 6});
+      assert.deepStrictEqual(await first, {i: 7});
+    } finally {
+      await nats.close({timeout: 100});
+    }
+  });
+});
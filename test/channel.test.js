@@ -0,0 +1,137 @@
+'use strict';
+const { describe, it, before, after } = require('node:test'),
+  assert = require('assert'),
+  thorin = require('thorin'),
+  initNats = require('../index'),
+  MemoryConnection = require('../lib/memory');
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('channel', () => {
+  let natsObj;
+
+  before(async () => {
+    natsObj = initNats(thorin, {transport: 'memory'});
+    await new Promise((resolve) => natsObj.run(resolve));
+  });
+
+  after(() => natsObj.close({timeout: 100}));
+
+  it('delivers events of unique channels to both the subscriptions and the event listeners', async () => {
+    let handler = natsObj.channel.create('test.unique', {unique: true}),
+      subscribed = 0,
+      listened = 0;
+    handler.subscribe('user.created', () => subscribed++);
+    handler.on('event', () => listened++);
+    await wait(10);
+    let caller = natsObj.channel('test.unique');
+    for (let i = 0; i < 10; i++) caller.publish('user.created', {});
+    await wait(20);
+    assert.strictEqual(subscribed, 10);
+    assert.strictEqual(listened, 10);
+  });
+
+  it('publishes on per-action subjects only with opt.actionSubjects, while both kinds of nodes keep receiving events', async () => {
+    let subjects = [],
+      legacy = 0,
+      plain = [],
+      filtered = [];
+    let client = new MemoryConnection({json: natsObj.client.options.json});
+    client.subscribe('trpc.test.subjects.p', () => legacy++);  // a node of the previous release.
+    client.subscribe('trpc.test.subjects.p.>', (msg, reply, subject) => subjects.push(subject));
+    natsObj.channel.create('test.subjects').subscribe('user.*', (payload) => plain.push(payload.i));
+    natsObj.channel.create('test.subjects', {actionSubjects: true}).subscribe('user.*', (payload) => filtered.push(payload.i));
+    await wait(10);
+    try {
+      natsObj.channel('test.subjects').publish('user.created', {i: 1});
+      natsObj.channel('test.subjects').publish('order.created', {i: 2});
+      natsObj.channel.create('test.subjects', {actionSubjects: true}).publish('user.deleted', {i: 3});
+      await wait(20);
+      assert.strictEqual(legacy, 2);
+      assert.deepStrictEqual(subjects, ['trpc.test.subjects.p.user.deleted']);
+      assert.deepStrictEqual(plain, [1, 3]);
+      assert.deepStrictEqual(filtered, [1, 3]);
+    } finally {
+      client.close();
+    }
+  });
+
+  it('releases the half-open breaker probe when the dispatch is cancelled', async () => {
+    let slow = true;
+    natsObj.channel.create('test.breaker').handle('run', async () => {
+      if (slow) await wait(200);
+      return 'ok';
+    });
+    let caller = natsObj.channel('test.breaker', {breaker: {threshold: 1, cooldown: 50}});
+    await assert.rejects(caller.dispatch('run', {}, {timeout: 60, retry: false}), {code: 'NATS.TIMEOUT'});
+    await wait(60);
+    let controller = new AbortController();
+    setTimeout(() => controller.abort(), 10);
+    await assert.rejects(caller.dispatch('run', {}, {timeout: 1000, signal: controller.signal}), {code: 'NATS.CANCELLED'});
+    slow = false;
+    assert.strictEqual(await caller.dispatch('run', {}, {timeout: 1000}), 'ok');
+  });
+
+  it('sends the deadline as the remaining time and replies NATS.HANDLER_TIMEOUT on handler timeouts', async () => {
+    let handler = natsObj.channel.create('test.deadline', {unique: true}),
+      calls = 0,
+      remaining = null;
+    handler.handle('fast', async (payload, req) => {
+      remaining = req.deadline - Date.now();
+      return 'ok';
+    });
+    handler.handle('slow', {timeout: 80}, async () => {
+      calls++;
+      await wait(300);
+      return 'late';
+    });
+    let caller = natsObj.channel('test.deadline');
+    await caller.dispatch('fast', {}, {timeout: 1000});
+    assert.ok(remaining > 900 && remaining <= 1000, `remaining ${remaining}`);
+    await assert.rejects(caller.dispatch('slow', {}, {timeout: 2000, retry: {attempts: 3, delay: 1}}), {
+      code: 'NATS.HANDLER_TIMEOUT'
+    });
+    assert.strictEqual(calls, 1);
+  });
+
+  it('drops the queued requests whose caller timed out or cancelled', async () => {
+    let handler = natsObj.channel.create('test.queued', {unique: true}),
+      ran = [];
+    handler.handle('job', {concurrency: 1, queueSize: 10}, async (payload) => {
+      ran.push(payload.i);
+      await wait(150);
+      return payload.i;
+    });
+    let caller = natsObj.channel('test.queued');
+    let timedOut = [0, 1, 2].map((i) => caller.dispatch('job', {i}, {timeout: 100, retry: false}));
+    for (let i = 0; i < timedOut.length; i++) {
+      await assert.rejects(timedOut[i], {code: 'NATS.TIMEOUT'});
+    }
+    await wait(200);
+    assert.deepStrictEqual(ran, [0]);
+    ran = [];
+    let controller = new AbortController(),
+      first = caller.dispatch('job', {i: 3}, {timeout: 1000}),
+      cancelled = caller.dispatch('job', {i: 4}, {timeout: 1000, signal: controller.signal});
+    await wait(20);
+    controller.abort();
+    await assert.rejects(cancelled, {code: 'NATS.CANCELLED'});
+    assert.strictEqual(await first, 3);
+    await wait(20);
+    assert.deepStrictEqual(ran, [3]);
+  });
+
+  it('bounds close() by a single timeout, even when the connection does not drain', async () => {
+    let nats = initNats(thorin, {transport: 'memory'}, 'nats-close');
+    await new Promise((resolve) => nats.run(resolve));
+    nats.client.drain = () => {};  // never drains.
+    nats.channel.create('test.close', {unique: true}).handle('slow', () => wait(1000));
+    await wait(10);
+    nats.channel('test.close').dispatch('slow', {}, {timeout: 2000}).catch(() => null);
+    await wait(10);
+    let start = Date.now();
+    await nats.close({timeout: 200});
+    let took = Date.now() - start;
+    assert.ok(took < 300, `close took ${took}ms`);
+  });
+});
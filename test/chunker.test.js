@@ -0,0 +1,50 @@
+'use strict';
+const { describe, it, before, after } = require('node:test'),
+  assert = require('assert'),
+  thorin = require('thorin'),
+  initNats = require('../index');
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('chunker', () => {
+  let natsObj,
+    unsubscribed = 0;
+
+  before(async () => {
+    natsObj = initNats(thorin, {transport: 'memory', options: {maxPayload: 64 * 1024}});
+    await new Promise((resolve) => natsObj.run(resolve));
+    let client = natsObj.client,
+      unsubscribe = client.unsubscribe.bind(client);
+    client.unsubscribe = (sid, max) => {
+      unsubscribed++;
+      return unsubscribe(sid, max);
+    };
+  });
+
+  after(() => natsObj.close({timeout: 100}));
+
+  it('transfers messages larger than the max payload', async () => {
+    let big = 'x'.repeat(200 * 1024) + '"é',
+      events = [];
+    let handler = natsObj.channel.create('test.big');
+    handler.handle('echo', async (payload) => payload.text);
+    handler.on('event', (e) => events.push(e.payload.text));
+    await wait(10);
+    let caller = natsObj.channel('test.big');
+    assert.strictEqual(await caller.dispatch('echo', {text: big}), big);
+    caller.publish('sent', {text: big});
+    await wait(50);
+    assert.deepStrictEqual(events, [big]);
+  });
+
+  it('stops serving the transfers of single receivers after their last chunk', async () => {
+    natsObj.channel.create('test.cleanup').handle('echo', async (payload) => payload.text);
+    await wait(10);
+    let before = unsubscribed;
+    let text = 'y'.repeat(200 * 1024);
+    assert.strictEqual(await natsObj.channel('test.cleanup').dispatch('echo', {text}), text);
+    await wait(10);
+    // both the request and the reply transfers are released.
+    assert.strictEqual(unsubscribed - before, 2);
+  });
+});
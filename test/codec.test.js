@@ -0,0 +1,76 @@
+'use strict';
+const { describe, it, before, after } = require('node:test'),
+  assert = require('assert'),
+  thorin = require('thorin'),
+  initNats = require('../index'),
+  MemoryConnection = require('../lib/memory');
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('codec', () => {
+  let natsObj,
+    client,
+    received = null,
+    frames = [];
+
+  before(async () => {
+    natsObj = initNats(thorin, {transport: 'memory'});
+    await new Promise((resolve) => natsObj.run(resolve));
+    natsObj.codec('reverse', {
+      id: 42,
+      encode: (obj) => Buffer.from(JSON.stringify(obj).split('').reverse().join('')),
+      decode: (buf) => JSON.parse(buf.toString().split('').reverse().join(''))
+    });
+    natsObj.channel.create('test.codec').handle('echo', (payload) => {
+      received = payload;
+      return payload;
+    });
+    client = new MemoryConnection({json: natsObj.client.options.json});
+    client.subscribe('trpc.test.codec.a', (msg) => frames.push(msg));
+    await wait(10);
+  });
+
+  after(() => {
+    client.close();
+    return natsObj.close({timeout: 100});
+  });
+
+  const getHeader = (msg) => {
+    assert.strictEqual(typeof msg, 'string');
+    assert.strictEqual(msg.charAt(0), '\u0000');
+    return Array.from(Buffer.from(msg.substr(1), 'base64').subarray(0, 3));
+  };
+
+  it('round trips Buffers through the msgpack and json codecs', async () => {
+    let data = Buffer.from([0, 1, 2, 255]);
+    for (let codec of ['msgpack', 'json']) {
+      frames = [];
+      received = null;
+      let res = await natsObj.channel.create('test.codec', {codec}).dispatch('echo', {data, name: 'file'});
+      assert.ok(Buffer.isBuffer(received.data), `${codec} handler payload`);
+      assert.ok(Buffer.isBuffer(res.data), `${codec} reply`);
+      assert.deepStrictEqual(res.data, data);
+      assert.strictEqual(res.name, 'file');
+      assert.deepStrictEqual(getHeader(frames[0]), [0, codec === 'msgpack' ? 2 : 1, 0]);
+    }
+  });
+
+  it('compresses the messages above the threshold', async () => {
+    frames = [];
+    let caller = natsObj.channel.create('test.codec', {codec: 'json', compress: 'gzip', compressThreshold: 500}),
+      text = 'x'.repeat(1000);
+    assert.deepStrictEqual(await caller.dispatch('echo', {text}), {text});
+    assert.deepStrictEqual(await caller.dispatch('echo', {text: 'small'}), {text: 'small'});
+    assert.deepStrictEqual(getHeader(frames[0]), [0, 1, 1]);
+    assert.deepStrictEqual(getHeader(frames[1]), [0, 1, 0]);
+  });
+
+  it('uses the registered custom codecs, decoded by the receiver from the header', async () => {
+    frames = [];
+    let caller = natsObj.channel.create('test.codec', {codec: 'reverse'});
+    assert.deepStrictEqual(await caller.dispatch('echo', {id: 1}), {id: 1});
+    assert.deepStrictEqual(getHeader(frames[0]), [0, 42, 0]);
+    assert.throws(() => natsObj.codec('reverse', {id: 43, encode: () => null, decode: () => null}), {code: 'DATA.INVALID'});
+    assert.throws(() => natsObj.channel.create('test.codec', {codec: 'missing'}), {code: 'DATA.INVALID'});
+  });
+});
@@ -0,0 +1,70 @@
+'use strict';
+const { describe, it, before, after } = require('node:test'),
+  assert = require('assert'),
+  thorin = require('thorin'),
+  initNats = require('../index');
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('concurrency', () => {
+  let natsObj;
+
+  before(async () => {
+    natsObj = initNats(thorin, {transport: 'memory'});
+    await new Promise((resolve) => natsObj.run(resolve));
+  });
+
+  after(() => natsObj.close({timeout: 100}));
+
+  it('limits the running handlers and rejects the overflow with NATS.BUSY', async () => {
+    let running = 0,
+      maxRunning = 0;
+    natsObj.channel.create('test.limit').handle('job', {concurrency: 2, queueSize: 1}, async () => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await wait(30);
+      running--;
+      return 'ok';
+    });
+    await wait(10);
+    let caller = natsObj.channel('test.limit'),
+      results = await Promise.all([0, 1, 2, 3].map(() => caller.dispatch('job', {}, {retry: false}).catch((e) => e.code)));
+    assert.deepStrictEqual(results.sort(), ['NATS.BUSY', 'ok', 'ok', 'ok']);
+    assert.strictEqual(maxRunning, 2);
+  });
+
+  it('applies the channel-wide limit across all its actions', async () => {
+    let handler = natsObj.channel.create('test.limit.channel', {concurrency: 1});
+    handler.handle('a', () => wait(30));
+    handler.handle('b', () => wait(30));
+    await wait(10);
+    let caller = natsObj.channel('test.limit.channel'),
+      results = await Promise.all(['a', 'b'].map((action) => caller.dispatch(action, {}, {retry: false}).then(() => 'ok', (e) => e.code)));
+    assert.deepStrictEqual(results.sort(), ['NATS.BUSY', 'ok']);
+  });
+
+  it('leaves the queue group while busy with opt.overflow=leave, and re-joins once idle', async () => {
+    let nats = initNats(thorin, {transport: 'memory'}, 'nats-leave');
+    await new Promise((resolve) => nats.run(resolve));
+    try {
+      nats.channel.create('test.leave', {unique: true, concurrency: 1, overflow: 'leave'}).handle('job', async () => {
+        await wait(60);
+        return 'a';
+      });
+      await wait(10);
+      let caller = natsObj.channel('test.leave'),
+        subscriptions = nats.client.numSubscriptions(),
+        first = caller.dispatch('job', {}, {retry: false});
+      await wait(10);
+      await assert.rejects(caller.dispatch('job', {}, {retry: false}), {code: 'NATS.BUSY'});
+      assert.strictEqual(nats.client.numSubscriptions(), subscriptions - 1);
+      natsObj.channel.create('test.leave', {unique: true}).handle('job', () => 'b');
+      await wait(10);
+      assert.strictEqual(await caller.dispatch('job', {}, {retry: false}), 'b');
+      assert.strictEqual(await first, 'a');
+      assert.strictEqual(nats.client.numSubscriptions(), subscriptions);
+    } finally {
+      await nats.close({timeout: 100});
+    }
+  });
+});
@@ -0,0 +1,52 @@
+'use strict';
+const { describe, it, before, after } = require('node:test'),
+  assert = require('assert'),
+  thorin = require('thorin'),
+  initNats = require('../index');
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('connections', () => {
+  let natsObj;
+
+  before(async () => {
+    natsObj = initNats(thorin, {
+      transport: 'memory',
+      connections: {
+        events: {
+          transport: 'memory'
+        }
+      }
+    });
+    await new Promise((resolve) => natsObj.run(resolve));
+  });
+
+  after(() => natsObj.close({timeout: 100}));
+
+  it('keeps separate channels and clients per named connection', async () => {
+    let main = natsObj.channel('test.connections'),
+      named = natsObj.channel('test.connections', {connection: 'events'});
+    assert.notStrictEqual(main, named);
+    assert.strictEqual(natsObj.channel('test.connections', {connection: 'events'}), named);
+    let client = await natsObj.getClient('events');
+    assert.notStrictEqual(client, natsObj.client);
+    assert.strictEqual(natsObj.status('events').connected, true);
+    named.handle('ping', () => 'pong');
+    await wait(10);
+    assert.strictEqual(await main.dispatch('ping', {}), 'pong');
+  });
+
+  it('rejects unknown connection names', () => {
+    assert.throws(() => natsObj.channel('test.connections', {connection: 'missing'}), {code: 'PLUGIN.NATS'});
+    assert.throws(() => natsObj.status('missing'), {code: 'PLUGIN.NATS'});
+  });
+
+  it('closes every connection on close()', async () => {
+    let nats = initNats(thorin, {transport: 'memory', connections: {other: {transport: 'memory'}}}, 'nats-connections');
+    await new Promise((resolve) => nats.run(resolve));
+    let client = await nats.getClient('other');
+    await nats.close({timeout: 100});
+    assert.strictEqual(client.closed, true);
+    assert.strictEqual(nats.status('other').connected, false);
+  });
+});
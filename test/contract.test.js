@@ -0,0 +1,26 @@
+'use strict';
+const { describe, it } = require('node:test'),
+  assert = require('assert'),
+  thorin = require('thorin'),
+  contracts = require('../lib/contract')(thorin);
+
+describe('contract', () => {
+
+  it('generates the TypeScript declarations of a contract', () => {
+    let ts = contracts.toTypeScript({
+      'api.user.read': {
+        input: {id: 'NUMBER'},
+        output: {name: 'STRING'}
+      }
+    }, {name: 'UsersProxy'});
+    assert.ok(ts.indexOf('export interface UsersProxy') !== -1);
+    assert.ok(ts.indexOf('ApiUserReadInput') !== -1);
+  });
+
+  it('rejects actions that generate the same type name', () => {
+    assert.throws(() => contracts.toTypeScript({
+      'api.user-x': {},
+      'api.userX': {}
+    }), {code: 'DATA.INVALID'});
+  });
+});
@@ -0,0 +1,61 @@
+'use strict';
+const { describe, it, before, after } = require('node:test'),
+  assert = require('assert'),
+  thorin = require('thorin'),
+  initNats = require('../index');
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('discover', () => {
+  let natsObj;
+
+  before(async () => {
+    natsObj = initNats(thorin, {transport: 'memory'});
+    await new Promise((resolve) => natsObj.run(resolve));
+    for (let i = 0; i < 2; i++) {
+      let handler = natsObj.channel.create('test.discover', {unique: true});
+      handler.handle('user.read', {
+        input: {
+          id: 'NUMBER'
+        },
+        output: {
+          name: 'STRING'
+        }
+      }, () => ({name: 'John'}));
+      handler.handle('audit.>', () => null);
+    }
+    await wait(10);
+  });
+
+  after(() => natsObj.close({timeout: 100}));
+
+  it('lists every node of a unique channel, with its actions and schemas', async () => {
+    let nodes = await natsObj.discover('test.discover', {timeout: 60});
+    assert.strictEqual(nodes.length, 2);
+    nodes.forEach((node) => {
+      assert.strictEqual(node.node, thorin.id);
+      assert.strictEqual(node.channel, 'test.discover');
+      assert.strictEqual(node.unique, true);
+      assert.strictEqual(typeof node.uptime, 'number');
+      let actions = node.actions.sort((a, b) => a.action.localeCompare(b.action));
+      assert.deepStrictEqual(actions, [{
+        action: 'audit.>',
+        pattern: true,
+        input: null,
+        output: null
+      }, {
+        action: 'user.read',
+        pattern: false,
+        input: {id: {type: 'NUMBER', required: true}},
+        output: {name: {type: 'STRING', required: true}}
+      }]);
+    });
+  });
+
+  it('stops once opt.max nodes replied, and resolves empty when nobody serves the channel', async () => {
+    let start = Date.now();
+    assert.strictEqual((await natsObj.discover('test.discover', {timeout: 2000, max: 1})).length, 1);
+    assert.ok(Date.now() - start < 1000, `took ${Date.now() - start}ms`);
+    assert.deepStrictEqual(await natsObj.discover('test.discover.none', {timeout: 60}), []);
+  });
+});
@@ -0,0 +1,83 @@
+'use strict';
+const { describe, it, before, after } = require('node:test'),
+  assert = require('assert'),
+  thorin = require('thorin'),
+  initNats = require('../index'),
+  initElection = require('../lib/election'),
+  MemoryConnection = require('../lib/memory');
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('election', () => {
+  let natsObj,
+    NatsElection;
+
+  before(async () => {
+    natsObj = initNats(thorin, {transport: 'memory'});
+    NatsElection = initElection(thorin, {channel: {prefix: 'trpc.'}}, thorin.logger('nats'));
+    await new Promise((resolve) => natsObj.run(resolve));
+  });
+
+  after(() => natsObj.close({timeout: 100}));
+
+  it('keeps the oldest candidate as leader and fails over once it stops', async () => {
+    let first = natsObj.election('test.jobs', {heartbeat: 50}),
+      second = new NatsElection('test.jobs', {heartbeat: 50});
+    await wait(80);
+    second.client = natsObj.client;
+    await wait(80);
+    assert.strictEqual(first.isLeader, true);
+    assert.strictEqual(second.leader, first.id);
+    assert.deepStrictEqual(second.members, [first.id, second.id].sort());
+    first.stop();
+    await wait(20);
+    assert.strictEqual(second.isLeader, true);
+    second.stop();
+  });
+
+  it('hands over the leadership on resign', async () => {
+    let first = natsObj.election('test.resign', {heartbeat: 50}),
+      second = new NatsElection('test.resign', {heartbeat: 50});
+    await wait(80);
+    second.client = natsObj.client;
+    await wait(80);
+    assert.strictEqual(first.resign(), true);
+    await wait(20);
+    assert.strictEqual(first.isLeader, false);
+    assert.strictEqual(second.isLeader, true);
+    second.stop();
+  });
+
+  it('re-joins as the youngest candidate after a reconnect, keeping the new leader', async () => {
+    let clientA = new MemoryConnection({json: natsObj.client.options.json}),
+      publish = clientA.publish.bind(clientA),
+      down = false,
+      events = [];
+    clientA.publish = (...args) => {
+      if (!down) return publish(...args);
+    };
+    let a = new NatsElection('test.reconnect', {heartbeat: 30}),
+      b = new NatsElection('test.reconnect', {heartbeat: 30});
+    a.on('elected', () => events.push('a elected')).on('revoked', () => events.push('a revoked'));
+    b.on('elected', () => events.push('b elected')).on('revoked', () => events.push('b revoked'));
+    try {
+      a.client = clientA;
+      await wait(50);
+      b.client = natsObj.client;
+      await wait(50);
+      assert.deepStrictEqual(events, ['a elected']);
+      down = true;
+      clientA.emit('disconnect');
+      await wait(150);
+      down = false;
+      clientA.emit('reconnect');
+      await wait(100);
+      assert.deepStrictEqual(events, ['a elected', 'a revoked', 'b elected']);
+      assert.strictEqual(a.leader, b.id);
+    } finally {
+      a.stop();
+      b.stop();
+      clientA.close();
+    }
+  });
+});
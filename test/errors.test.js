@@ -0,0 +1,70 @@
+'use strict';
+const { describe, it, before, after } = require('node:test'),
+  assert = require('assert'),
+  thorin = require('thorin'),
+  initNats = require('../index');
+
+describe('errors', () => {
+  let natsObj,
+    caller;
+
+  before(async () => {
+    natsObj = initNats(thorin, {transport: 'memory'});
+    await new Promise((resolve) => natsObj.run(resolve));
+    let handler = natsObj.channel.create('test.errors');
+    handler.handle('thorin', () => {
+      throw thorin.error('USER.NOT_FOUND', 'The user was not found', 404, {id: 1});
+    });
+    handler.handle('native', () => {
+      throw new TypeError('secret internals');
+    });
+    handler.handle('object', () => {
+      throw {code: 'ORDER.CONFLICT', message: 'The order was already placed', status: 409, data: {order: 2}};
+    });
+    handler.handle('string', () => {
+      throw 'Something failed';
+    });
+    caller = natsObj.channel('test.errors');
+  });
+
+  after(() => natsObj.close({timeout: 100}));
+
+  it('keeps the code, message, status and data of thorin errors', async () => {
+    await assert.rejects(caller.dispatch('thorin'), (e) => {
+      assert.strictEqual(e.code, 'USER.NOT_FOUND');
+      assert.strictEqual(e.message, 'The user was not found');
+      assert.strictEqual(e.statusCode, 404);
+      assert.deepStrictEqual(e.data, {id: 1});
+      assert.strictEqual(e.remote, true);
+      assert.strictEqual(e.origin.node, thorin.id);
+      return true;
+    });
+  });
+
+  it('does not leak the message of native errors', async () => {
+    await assert.rejects(caller.dispatch('native'), (e) => {
+      assert.strictEqual(e.statusCode, 500);
+      assert.strictEqual(e.remoteName, 'TypeError');
+      assert.ok(e.message.indexOf('secret') === -1);
+      return true;
+    });
+  });
+
+  it('maps thrown error-shaped objects', async () => {
+    await assert.rejects(caller.dispatch('object'), (e) => {
+      assert.strictEqual(e.code, 'ORDER.CONFLICT');
+      assert.strictEqual(e.message, 'The order was already placed');
+      assert.strictEqual(e.statusCode, 409);
+      assert.deepStrictEqual(e.data, {order: 2});
+      return true;
+    });
+  });
+
+  it('uses thrown strings as the error message', async () => {
+    await assert.rejects(caller.dispatch('string'), {
+      code: 'GENERIC_ERROR',
+      message: 'Something failed',
+      statusCode: 500
+    });
+  });
+});
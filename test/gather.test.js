@@ -0,0 +1,50 @@
+'use strict';
+const { describe, it, before, after } = require('node:test'),
+  assert = require('assert'),
+  thorin = require('thorin'),
+  initNats = require('../index');
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('gather', () => {
+  let natsObj;
+
+  before(async () => {
+    natsObj = initNats(thorin, {transport: 'memory'});
+    await new Promise((resolve) => natsObj.run(resolve));
+    natsObj.channel.create('test.gather').handle('ping', () => ({node: 'a'}));
+    natsObj.channel.create('test.gather').handle('ping', () => ({node: 'b'}));
+    natsObj.channel.create('test.gather').handle('ping', () => {
+      throw thorin.error('PING.FAILED', 'Node c is down', 503);
+    });
+    await wait(10);
+  });
+
+  after(() => natsObj.close({timeout: 100}));
+
+  it('collects the replies and errors of every node until the timeout', async () => {
+    let res = await natsObj.channel('test.gather').gather('ping', {}, {timeout: 100});
+    assert.strictEqual(res.timeout, true);
+    assert.deepStrictEqual(res.results.map((item) => item.data.node).sort(), ['a', 'b']);
+    assert.strictEqual(res.errors.length, 1);
+    assert.strictEqual(res.errors[0].error.code, 'PING.FAILED');
+    assert.strictEqual(res.errors[0].error.statusCode, 503);
+  });
+
+  it('resolves as soon as opt.max replies arrived', async () => {
+    let start = Date.now(),
+      res = await natsObj.channel('test.gather').gather('ping', {}, {timeout: 2000, max: 3});
+    assert.ok(Date.now() - start < 1000, `took ${Date.now() - start}ms`);
+    assert.strictEqual(res.timeout, false);
+    assert.strictEqual(res.results.length + res.errors.length, 3);
+  });
+
+  it('resolves with empty results when nobody serves the action', async () => {
+    let res = await natsObj.channel('test.gather.none').gather('ping', {}, {timeout: 60});
+    assert.deepStrictEqual(res, {
+      results: [],
+      errors: [],
+      timeout: true
+    });
+  });
+});
@@ -0,0 +1,87 @@
+'use strict';
+const { describe, it, before, after } = require('node:test'),
+  assert = require('assert'),
+  thorin = require('thorin'),
+  initNats = require('../index');
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('idempotency', () => {
+  let natsObj,
+    calls = 0,
+    busy = 0;
+
+  before(async () => {
+    natsObj = initNats(thorin, {transport: 'memory'});
+    await new Promise((resolve) => natsObj.run(resolve));
+    let handler = natsObj.channel.create('test.idempotency', {unique: true, idempotency: {ttl: 100}});
+    handler.handle('charge', async (payload) => {
+      calls++;
+      await wait(20);
+      if (busy > 0) {
+        busy--;
+        throw thorin.error('NATS.BUSY', 'Too busy', 503);
+      }
+      if (payload.amount < 0) throw thorin.error('CHARGE.INVALID', 'Negative amount', 400);
+      return {charge: calls};
+    });
+    await wait(10);
+  });
+
+  after(() => natsObj.close({timeout: 100}));
+
+  it('runs the handler once per key, for sequential and concurrent duplicates', async () => {
+    let caller = natsObj.channel('test.idempotency');
+    calls = 0;
+    let first = await caller.dispatch('charge', {amount: 1}, {idempotencyKey: 'k1'});
+    assert.deepStrictEqual(await caller.dispatch('charge', {amount: 1}, {idempotencyKey: 'k1'}), first);
+    let results = await Promise.all([0, 1, 2].map(() => caller.dispatch('charge', {amount: 1}, {idempotencyKey: 'k2'})));
+    assert.deepStrictEqual(results[1], results[0]);
+    assert.deepStrictEqual(results[2], results[0]);
+    await caller.dispatch('charge', {amount: 1});
+    await caller.dispatch('charge', {amount: 1});
+    assert.strictEqual(calls, 4);
+  });
+
+  it('caches the handler errors, but not the transient ones', async () => {
+    let caller = natsObj.channel('test.idempotency');
+    calls = 0;
+    for (let i = 0; i < 2; i++) {
+      await assert.rejects(caller.dispatch('charge', {amount: -1}, {idempotencyKey: 'k3', retry: false}), {code: 'CHARGE.INVALID'});
+    }
+    assert.strictEqual(calls, 1);
+    busy = 1;
+    await assert.rejects(caller.dispatch('charge', {amount: 1}, {idempotencyKey: 'k4', retry: false}), {code: 'NATS.BUSY'});
+    assert.deepStrictEqual(await caller.dispatch('charge', {amount: 1}, {idempotencyKey: 'k4', retry: false}), {charge: 3});
+  });
+
+  it('runs the handler again once the cached reply expired', async () => {
+    let caller = natsObj.channel('test.idempotency');
+    calls = 0;
+    await caller.dispatch('charge', {amount: 1}, {idempotencyKey: 'k5'});
+    await wait(120);
+    await caller.dispatch('charge', {amount: 1}, {idempotencyKey: 'k5'});
+    assert.strictEqual(calls, 2);
+  });
+
+  it('shares the replies between nodes through an external store', async () => {
+    let items = new Map(),
+      store = {
+        get: async (key) => items.get(key) || null,
+        set: async (key, reply) => {
+          items.set(key, reply);
+        }
+      },
+      shared = 0;
+    for (let i = 0; i < 2; i++) {
+      natsObj.channel.create('test.idempotency.store', {unique: true, idempotency: {store}}).handle('charge', () => ({charge: ++shared}));
+    }
+    await wait(10);
+    let caller = natsObj.channel('test.idempotency.store');
+    for (let i = 0; i < 6; i++) {
+      assert.deepStrictEqual(await caller.dispatch('charge', {}, {idempotencyKey: 'k6'}), {charge: 1});
+    }
+    assert.strictEqual(shared, 1);
+    assert.strictEqual(items.size, 1);
+  });
+});
@@ -0,0 +1,58 @@
+'use strict';
+const { describe, it, before, after } = require('node:test'),
+  assert = require('assert'),
+  thorin = require('thorin'),
+  initNats = require('../index');
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('lock', () => {
+  let a,
+    b;
+
+  before(async () => {
+    a = initNats(thorin, {transport: 'memory'});
+    b = initNats(thorin, {transport: 'memory'}, 'nats-lock');
+    await new Promise((resolve) => a.run(resolve));
+    await new Promise((resolve) => b.run(resolve));
+  });
+
+  after(async () => {
+    await a.close({timeout: 100});
+    await b.close({timeout: 100});
+  });
+
+  it('lets a single node hold the lock, and hands it over on release', async () => {
+    let lock = await a.lock('test.lock.release', {window: 20});
+    assert.strictEqual(lock.name, 'test.lock.release');
+    await assert.rejects(b.lock('test.lock.release', {window: 20}), {code: 'NATS.LOCKED', statusCode: 423});
+    let start = Date.now(),
+      next = b.lock('test.lock.release', {window: 20, timeout: 2000, retryDelay: 1000});
+    await wait(30);
+    lock.release();
+    let other = await next;
+    assert.ok(Date.now() - start < 500, `took ${Date.now() - start}ms`);
+    other.release();
+  });
+
+  it('grants the lock to a single node when both try at the same time', async () => {
+    let results = await Promise.all([a, b].map((nats) => nats.lock('test.lock.race', {window: 20}).catch((e) => e.code)));
+    let locks = results.filter((item) => typeof item === 'object');
+    assert.strictEqual(locks.length, 1);
+    assert.ok(results.includes('NATS.LOCKED'));
+    locks[0].release();
+  });
+
+  it('expires the lock after its ttl, aborting its signal', async () => {
+    let lock = await a.lock('test.lock.ttl', {window: 20, ttl: 60});
+    assert.strictEqual(lock.signal.aborted, false);
+    await wait(80);
+    assert.strictEqual(lock.signal.aborted, true);
+    let other = await b.lock('test.lock.ttl', {window: 20});
+    other.release();
+  });
+
+  it('rejects invalid lock names', async () => {
+    await assert.rejects(a.lock('test.lock.*'), {code: 'DATA.INVALID'});
+  });
+});
@@ -0,0 +1,67 @@
+'use strict';
+const { describe, it, before, after } = require('node:test'),
+  assert = require('assert'),
+  thorin = require('thorin'),
+  initNats = require('../index');
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('meta', () => {
+  let natsObj,
+    events = [];
+
+  before(async () => {
+    natsObj = initNats(thorin, {transport: 'memory'});
+    await new Promise((resolve) => natsObj.run(resolve));
+    let orders = natsObj.channel.create('test.orders'),
+      billing = natsObj.channel.create('test.billing');
+    orders.handle('create', async (payload, req) => {
+      let invoice = await natsObj.channel('test.billing').dispatch('invoice', payload);
+      natsObj.channel('test.billing').publish('order.created', {});
+      return {
+        trace: req.trace,
+        invoice
+      };
+    });
+    billing.handle('invoice', (payload, req) => ({
+      trace: req.trace,
+      caller: req.caller,
+      locale: req.locale,
+      headers: req.headers,
+      remaining: req.deadline - Date.now()
+    }));
+    billing.on('event', (event) => events.push(event.context.trace));
+    await wait(10);
+  });
+
+  after(() => natsObj.close({timeout: 100}));
+
+  it('propagates the trace id and metadata to the requests and events sent from a handler', async () => {
+    let res = await natsObj.channel('test.orders').dispatch('create', {}, {meta: {trace: 'trace-1'}});
+    await wait(10);
+    assert.strictEqual(res.trace, 'trace-1');
+    assert.strictEqual(res.invoice.trace, 'trace-1');
+    assert.strictEqual(res.invoice.caller, thorin.id);
+    assert.deepStrictEqual(events, ['trace-1']);
+  });
+
+  it('sends the locale, headers and deadline of the given meta', async () => {
+    let res = await natsObj.channel('test.billing').dispatch('invoice', {}, {
+      meta: {
+        locale: 'en',
+        headers: {tenant: 'acme'},
+        deadline: Date.now() + 1000
+      }
+    });
+    assert.strictEqual(res.locale, 'en');
+    assert.deepStrictEqual(res.headers, {tenant: 'acme'});
+    assert.ok(res.remaining > 900 && res.remaining <= 1000, `remaining ${res.remaining}`);
+  });
+
+  it('generates a new trace id for every request made outside a handler', async () => {
+    let first = await natsObj.channel('test.billing').dispatch('invoice', {}),
+      second = await natsObj.channel('test.billing').dispatch('invoice', {});
+    assert.ok(first.trace && second.trace);
+    assert.notStrictEqual(first.trace, second.trace);
+  });
+});
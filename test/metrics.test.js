@@ -0,0 +1,62 @@
+'use strict';
+const { describe, it, before, after } = require('node:test'),
+  assert = require('assert'),
+  thorin = require('thorin'),
+  initNats = require('../index');
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('metrics', () => {
+  let natsObj;
+
+  before(async () => {
+    natsObj = initNats(thorin, {transport: 'memory'});
+    await new Promise((resolve) => natsObj.run(resolve));
+    let handler = natsObj.channel.create('test.metrics');
+    handler.handle('ok', () => true);
+    handler.handle('fail', () => {
+      throw thorin.error('TEST.FAIL', 'Failed', 400);
+    });
+    handler.on('event', () => null);
+    await wait(10);
+    let caller = natsObj.channel('test.metrics');
+    await caller.dispatch('ok', {});
+    await caller.dispatch('ok', {});
+    await caller.dispatch('fail', {}, {retry: false}).catch(() => null);
+    caller.publish('user.created', {});
+    await wait(10);
+  });
+
+  after(() => natsObj.close({timeout: 100}));
+
+  const find = (snapshot, name, action) => {
+    return (snapshot[name] || []).find((item) => item.labels.channel === 'test.metrics' && item.labels.action === action);
+  };
+
+  it('records the dispatching and handling side of every action', () => {
+    let snapshot = natsObj.metrics();
+    assert.strictEqual(find(snapshot, 'nats_dispatch_total', 'ok').value, 2);
+    assert.strictEqual(find(snapshot, 'nats_request_total', 'ok').value, 2);
+    assert.strictEqual(find(snapshot, 'nats_dispatch_remote_error_total', 'fail').value, 1);
+    assert.strictEqual(find(snapshot, 'nats_request_error_total', 'fail').value, 1);
+    assert.strictEqual(find(snapshot, 'nats_dispatch_in_flight', 'ok').value, 0);
+    assert.strictEqual(find(snapshot, 'nats_dispatch_duration_seconds', 'ok').count, 2);
+    assert.strictEqual(find(snapshot, 'nats_publish_total', 'user.created').value, 1);
+    assert.strictEqual(find(snapshot, 'nats_event_total', 'user.created').value, 1);
+  });
+
+  it('exports the metrics in the Prometheus text format', () => {
+    let lines = natsObj.metrics.export().split('\n');
+    assert.ok(lines.includes('# TYPE nats_dispatch_total counter'));
+    assert.ok(lines.includes('nats_dispatch_total{channel="test.metrics",action="ok"} 2'));
+    assert.ok(lines.includes('# TYPE nats_dispatch_duration_seconds histogram'));
+    assert.ok(lines.includes('nats_dispatch_duration_seconds_bucket{channel="test.metrics",action="ok",le="+Inf"} 2'));
+    assert.ok(lines.includes('nats_dispatch_duration_seconds_count{channel="test.metrics",action="ok"} 2'));
+  });
+
+  it('clears the metrics on reset', () => {
+    natsObj.metrics.reset();
+    assert.deepStrictEqual(natsObj.metrics(), {});
+    assert.strictEqual(natsObj.metrics.export(), '\n');
+  });
+});
@@ -0,0 +1,66 @@
+'use strict';
+const { describe, it, before, after } = require('node:test'),
+  assert = require('assert'),
+  thorin = require('thorin'),
+  initNats = require('../index');
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('middleware', () => {
+  let natsObj,
+    calls = [];
+
+  before(async () => {
+    natsObj = initNats(thorin, {transport: 'memory'});
+    await new Promise((resolve) => natsObj.run(resolve));
+    natsObj.use(async (req, next) => {
+      calls.push(`plugin:${req.action}`);
+      return next();
+    });
+    natsObj.use('outbound', (envelope, info) => {
+      if (info.channel !== 'test.middleware') return;
+      envelope.m.h = Object.assign({}, envelope.m.h, {tenant: 'acme'});
+    });
+    let handler = natsObj.channel.create('test.middleware');
+    handler.use(async (req, next) => {
+      calls.push(`channel:${req.action}`);
+      if (req.headers.tenant !== 'acme') throw thorin.error('AUTH.TENANT', 'Missing tenant', 403);
+      if (req.action === 'private') throw thorin.error('AUTH.DENIED', 'Not allowed', 403);
+      let result = await next();
+      return Object.assign({wrapped: true}, result);
+    });
+    handler.handle('public', () => {
+      calls.push('handler:public');
+      return {ok: true};
+    });
+    handler.handle('headers', (payload, req) => req.headers);
+    handler.handle('private', () => {
+      calls.push('handler:private');
+      return {ok: true};
+    });
+    await wait(10);
+  });
+
+  after(() => natsObj.close({timeout: 100}));
+
+  it('runs the plugin-wide, then the channel middleware around the handler', async () => {
+    calls = [];
+    let res = await natsObj.channel('test.middleware').dispatch('public', {});
+    assert.deepStrictEqual(res, {wrapped: true, ok: true});
+    assert.deepStrictEqual(calls, ['plugin:public', 'channel:public', 'handler:public']);
+  });
+
+  it('short-circuits the request when a middleware throws, without running the handler', async () => {
+    calls = [];
+    await assert.rejects(natsObj.channel('test.middleware').dispatch('private', {}, {retry: false}), {
+      code: 'AUTH.DENIED',
+      statusCode: 403
+    });
+    assert.deepStrictEqual(calls, ['plugin:private', 'channel:private']);
+  });
+
+  it('lets the outbound hooks alter the envelope before it is sent', async () => {
+    let res = await natsObj.channel('test.middleware').dispatch('headers', {}, {meta: {headers: {user: '1'}}});
+    assert.deepStrictEqual(res, {wrapped: true, user: '1', tenant: 'acme'});
+  });
+});
@@ -0,0 +1,54 @@
+'use strict';
+const { describe, it, before, after } = require('node:test'),
+  assert = require('assert'),
+  thorin = require('thorin'),
+  initNats = require('../index');
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('partitions', () => {
+  let natsObj;
+
+  before(async () => {
+    natsObj = initNats(thorin, {transport: 'memory'});
+    await new Promise((resolve) => natsObj.run(resolve));
+  });
+
+  after(() => natsObj.close({timeout: 100}));
+
+  it('keeps separate member groups for handlers and event listeners', async () => {
+    let pOpt = {count: 8, heartbeat: 50},
+      listener = natsObj.channel.create('test.orders', {partitions: pOpt}),
+      handler = natsObj.channel.create('test.orders', {partitions: pOpt}),
+      events = 0;
+    listener.on('event', () => events++);
+    handler.handle('process', async () => 1);
+    await wait(100);
+    assert.deepStrictEqual(listener.partitions, {actions: [], events: [0, 1, 2, 3, 4, 5, 6, 7]});
+    assert.deepStrictEqual(handler.partitions, {actions: [0, 1, 2, 3, 4, 5, 6, 7], events: []});
+    let caller = natsObj.channel('test.orders', {partitions: 8}),
+      handled = 0;
+    for (let i = 0; i < 20; i++) {
+      if (await caller.dispatch('process', {}, {partitionKey: `key${i}`}) === 1) handled++;
+      caller.publish('created', {}, {partitionKey: `key${i}`});
+    }
+    await wait(20);
+    assert.strictEqual(handled, 20);
+    assert.strictEqual(events, 20);
+  });
+
+  it('splits the partitions between the members of a side', async () => {
+    let pOpt = {count: 8, heartbeat: 50},
+      a = natsObj.channel.create('test.split', {partitions: pOpt}),
+      b = natsObj.channel.create('test.split', {partitions: pOpt});
+    a.handle('process', async () => 'a');
+    b.handle('process', async () => 'b');
+    await wait(100);
+    let owned = a.partitions.actions.concat(b.partitions.actions).sort();
+    assert.deepStrictEqual(owned, [0, 1, 2, 3, 4, 5, 6, 7]);
+    assert.ok(a.partitions.actions.length > 0 && b.partitions.actions.length > 0);
+    b.stop();
+    await wait(20);
+    assert.deepStrictEqual(a.partitions.actions, [0, 1, 2, 3, 4, 5, 6, 7]);
+  });
+});
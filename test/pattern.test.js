@@ -0,0 +1,43 @@
+'use strict';
+const { describe, it, before, after } = require('node:test'),
+  assert = require('assert'),
+  thorin = require('thorin'),
+  initNats = require('../index');
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('pattern', () => {
+  let natsObj;
+
+  before(async () => {
+    natsObj = initNats(thorin, {transport: 'memory'});
+    await new Promise((resolve) => natsObj.run(resolve));
+    let handler = natsObj.channel.create('test.pattern');
+    const reply = (name) => (payload, req) => ({
+      handler: name,
+      action: req.action,
+      pattern: req.pattern
+    });
+    // registered from the least specific one, so that the order does not decide the match.
+    handler.handle('>', reply('catch-all'));
+    handler.handle('user.>', reply('user-many'));
+    handler.handle('user.*', reply('user-one'));
+    handler.handle('user.read', reply('exact'));
+    await wait(10);
+  });
+
+  after(() => natsObj.close({timeout: 100}));
+
+  it('prefers the exact handler, then the most specific pattern', async () => {
+    let caller = natsObj.channel('test.pattern');
+    assert.deepStrictEqual(await caller.dispatch('user.read', {}), {handler: 'exact', action: 'user.read', pattern: null});
+    assert.deepStrictEqual(await caller.dispatch('user.delete', {}), {handler: 'user-one', action: 'user.delete', pattern: 'user.*'});
+    assert.deepStrictEqual(await caller.dispatch('user.roles.list', {}), {handler: 'user-many', action: 'user.roles.list', pattern: 'user.>'});
+    assert.deepStrictEqual(await caller.dispatch('order.create', {}), {handler: 'catch-all', action: 'order.create', pattern: '>'});
+  });
+
+  it('rejects invalid patterns', () => {
+    let handler = natsObj.channel.create('test.pattern.invalid');
+    assert.throws(() => handler.handle('user.>.read', () => null), {code: 'DATA.INVALID'});
+  });
+});
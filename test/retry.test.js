@@ -0,0 +1,67 @@
+'use strict';
+const { describe, it, before, after } = require('node:test'),
+  assert = require('assert'),
+  thorin = require('thorin'),
+  initNats = require('../index');
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('retry', () => {
+  let natsObj,
+    failures = 0,
+    calls = 0;
+
+  before(async () => {
+    natsObj = initNats(thorin, {transport: 'memory'});
+    await new Promise((resolve) => natsObj.run(resolve));
+    let handler = natsObj.channel.create('test.retry');
+    handler.handle('flaky', () => {
+      calls++;
+      if (failures > 0) {
+        failures--;
+        throw thorin.error('NATS.BUSY', 'Too busy', 503);
+      }
+      return 'ok';
+    });
+    handler.handle('invalid', () => {
+      calls++;
+      throw thorin.error('TEST.INVALID', 'Not valid', 400);
+    });
+    await wait(10);
+  });
+
+  after(() => natsObj.close({timeout: 100}));
+
+  it('retries the retryable errors with backoff, up to the max attempts', async () => {
+    let caller = natsObj.channel('test.retry');
+    calls = 0;
+    failures = 2;
+    assert.strictEqual(await caller.dispatch('flaky', {}, {retry: {attempts: 3, delay: 5}}), 'ok');
+    assert.strictEqual(calls, 3);
+    calls = 0;
+    failures = 5;
+    await assert.rejects(caller.dispatch('flaky', {}, {retry: {attempts: 2, delay: 5}}), {code: 'NATS.BUSY'});
+    assert.strictEqual(calls, 2);
+  });
+
+  it('does not retry the other errors', async () => {
+    calls = 0;
+    await assert.rejects(natsObj.channel('test.retry').dispatch('invalid', {}, {retry: {attempts: 3, delay: 5}}), {code: 'TEST.INVALID'});
+    assert.strictEqual(calls, 1);
+  });
+
+  it('opens the circuit after repeated failures and closes it once the probe succeeds', async () => {
+    let caller = natsObj.channel.create('test.retry', {breaker: {threshold: 2, cooldown: 100}});
+    calls = 0;
+    failures = 2;
+    for (let i = 0; i < 2; i++) {
+      await assert.rejects(caller.dispatch('flaky', {}, {retry: false}), {code: 'NATS.BUSY'});
+    }
+    await assert.rejects(caller.dispatch('flaky', {}, {retry: false}), {code: 'NATS.CIRCUIT_OPEN'});
+    assert.strictEqual(calls, 2);
+    await wait(120);
+    assert.strictEqual(await caller.dispatch('flaky', {}, {retry: false}), 'ok');
+    assert.strictEqual(await caller.dispatch('flaky', {}, {retry: false}), 'ok');
+    assert.strictEqual(calls, 4);
+  });
+});
@@ -0,0 +1,59 @@
+'use strict';
+const { describe, it, before, after } = require('node:test'),
+  assert = require('assert'),
+  thorin = require('thorin'),
+  initNats = require('../index');
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('schema', () => {
+  let natsObj,
+    calls = 0,
+    received = null;
+
+  before(async () => {
+    await new Promise((resolve) => thorin.run(resolve));  // loads the sanitizers.
+    natsObj = initNats(thorin, {transport: 'memory'});
+    await new Promise((resolve) => natsObj.run(resolve));
+    let handler = natsObj.channel.create('test.schema');
+    handler.handle('user.create', {
+      input: {
+        name: 'STRING',
+        age: thorin.dispatcher.validate('NUMBER').default(18)
+      },
+      output: {
+        id: 'NUMBER'
+      }
+    }, (payload) => {
+      calls++;
+      received = payload;
+      if (payload.name === 'broken') return {id: 'not a number'};
+      return {id: payload.age};
+    });
+    await wait(10);
+  });
+
+  after(() => natsObj.close({timeout: 100}));
+
+  it('rejects invalid payloads with NATS.DATA before running the handler', async () => {
+    calls = 0;
+    let err = await natsObj.channel('test.schema').dispatch('user.create', {age: 20}, {retry: false}).catch((e) => e);
+    assert.strictEqual(err.code, 'NATS.DATA');
+    assert.strictEqual(err.statusCode, 400);
+    assert.deepStrictEqual(err.data.fields.map((item) => item.field), ['name']);
+    assert.strictEqual(calls, 0);
+  });
+
+  it('passes only the sanitized fields, with their defaults, to the handler', async () => {
+    let res = await natsObj.channel('test.schema').dispatch('user.create', {name: 'John', extra: true});
+    assert.deepStrictEqual(received, {name: 'John', age: 18});
+    assert.deepStrictEqual(res, {id: 18});
+  });
+
+  it('rejects handler results that do not match the output schema', async () => {
+    await assert.rejects(natsObj.channel('test.schema').dispatch('user.create', {name: 'broken'}, {retry: false}), {
+      code: 'NATS.DATA',
+      statusCode: 500
+    });
+  });
+});
@@ -0,0 +1,42 @@
+'use strict';
+const { describe, it } = require('node:test'),
+  assert = require('assert'),
+  thorin = require('thorin'),
+  initNats = require('../index');
+
+describe('status', () => {
+
+  it('reports the connection status, health and lifecycle events', async () => {
+    let natsObj = initNats(thorin, {transport: 'memory'}),
+      events = [];
+    ['connect', 'disconnect', 'reconnect', 'close'].forEach((name) => {
+      natsObj.on(name, (nc, connection) => events.push(`${name}:${connection}`));
+    });
+    assert.deepStrictEqual(natsObj.status(), {
+      connected: false,
+      server: null,
+      reconnects: 0,
+      pendingBytes: 0,
+      subscriptions: 0
+    });
+    await assert.rejects(natsObj.health(), {code: 'NATS.UNHEALTHY', statusCode: 503});
+    await new Promise((resolve) => natsObj.run(resolve));
+    natsObj.channel('test.status').handle('ping', () => 'pong');
+    let status = natsObj.status();
+    assert.strictEqual(status.connected, true);
+    assert.strictEqual(status.server, 'memory://local');
+    assert.ok(status.subscriptions > 0);
+    let health = await natsObj.health({timeout: 100});
+    assert.strictEqual(health.connected, true);
+    assert.strictEqual(typeof health.latency, 'number');
+
+    natsObj.client.emit('disconnect');
+    assert.strictEqual(natsObj.status().connected, false);
+    await assert.rejects(natsObj.health(), {code: 'NATS.UNHEALTHY'});
+    natsObj.client.emit('reconnect');
+    assert.strictEqual(natsObj.status().connected, true);
+    await natsObj.close({timeout: 100});
+    assert.strictEqual(natsObj.status().connected, false);
+    assert.deepStrictEqual(events, ['connect:default', 'disconnect:default', 'reconnect:default', 'close:default']);
+  });
+});
@@ -0,0 +1,37 @@
+'use strict';
+const { describe, it, before, after } = require('node:test'),
+  assert = require('assert'),
+  thorin = require('thorin'),
+  initNats = require('../index');
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('transport', () => {
+  let natsObj;
+
+  before(async () => {
+    initNats(thorin, {transport: 'memory'}, 'nats-plain');
+    assert.strictEqual(typeof thorin.Action.prototype.expose, 'undefined');
+    natsObj = initNats(thorin, {transport: 'memory', expose: {channel: 'test.api'}});
+    thorin.dispatcher.addAction('user.read').expose('nats').alias('NATS', 'api.user.read')
+      .use((intentObj) => intentObj.result({id: intentObj.rawInput.id}).send());
+    await new Promise((resolve) => natsObj.run(resolve));
+    thorin.dispatcher.start();
+    await wait(20);
+  });
+
+  after(() => natsObj.close({timeout: 100}));
+
+  it('exposes the actions by name and by their NATS alias', async () => {
+    let caller = natsObj.channel('test.api');
+    assert.deepStrictEqual(await caller.dispatch('user.read', {id: 1}), {type: 'user.read', result: {id: 1}});
+    assert.deepStrictEqual(await caller.dispatch('api.user.read', {id: 2}), {type: 'user.read', result: {id: 2}});
+  });
+
+  it('does not expose the unsaved actions, which the dispatcher cannot trigger', async () => {
+    thorin.dispatcher.addAction('user.late', {transport: 'nats', save: false}).expose('nats')
+      .use((intentObj) => intentObj.result({late: true}).send());
+    await wait(20);
+    await assert.rejects(natsObj.channel('test.api').dispatch('user.late', {}), {code: 'NATS.DATA', statusCode: 404});
+  });
+});